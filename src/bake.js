@@ -0,0 +1,139 @@
+import { TSL as $ } from 'three/webgpu'
+import { write_texture2d_kernel } from './compute.js'
+import { cartesian3d01_to_octahedral2d01 } from './map.js'
+import { forward_difference_gradient2d } from './normal.js'
+
+//
+// Height-field baking
+//  Compute kernels that bake a height field `f(uv)` (as used by `bump_field2d`)
+//  into storage textures once, instead of evaluating it every frame.
+//  - Gradients are taken with respect to uv in [0,1], one texel apart, so a
+//    baked normal matches `bump_field2d(f, uv(), strength)` on a mesh whose
+//    tangents follow its UVs.
+//
+
+/**
+ * 3x3 derivative stencils as `[side, center]` row weights.
+ *
+ * @private
+ */
+const stencils = {
+  sobel: [1, 2],
+  scharr: [3, 10]
+}
+
+/**
+ * Gradient of a height field from a 3x3 stencil.
+ *
+ * @param {*} f - Height field function.
+ * @param {*} uv - Coordinate (vec2).
+ * @param {*} texel - Texel size in uv (vec2).
+ * @param {number[]} weights - Stencil `[side, center]` weights.
+ * @returns {*} Gradient (vec2).
+ * @private
+ */
+const stencil_gradient2d = (f, uv, texel, [side, center]) => {
+  const h = (x, y) => $.float(f(uv.add(texel.mul($.vec2(x, y)))))
+  const dx = h(1, -1).sub(h(-1, -1)).mul(side)
+    .add(h(1, 0).sub(h(-1, 0)).mul(center))
+    .add(h(1, 1).sub(h(-1, 1)).mul(side))
+  const dy = h(-1, 1).sub(h(-1, -1)).mul(side)
+    .add(h(0, 1).sub(h(0, -1)).mul(center))
+    .add(h(1, 1).sub(h(1, -1)).mul(side))
+  // Each side spans 2 texels with a total weight of `2 * side + center`.
+  return $.vec2(dx, dy).div(texel.mul(2 * (2 * side + center)))
+}
+
+/**
+ * Create a compute kernel that bakes a height field into a tangent-space normal map.
+ *
+ * With `encoding: 'rgb'` the normal is stored as `n * 0.5 + 0.5` in rgb with
+ * alpha 1; with `'octahedral'` it is packed with
+ * `cartesian3d01_to_octahedral2d01` into rg, for two-channel textures.
+ *
+ * @param {*} tex - The 2D storage texture to write the normal map into.
+ * @param {*} f - Height field function that takes a vec2 (uv) and returns a float.
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Multiplier for gradient magnitude (controls bump strength).
+ * @param {string} [options.filter='forward'] - Gradient filter: `'forward'` differences
+ *   (`forward_difference_gradient2d`), or the `'sobel'` or `'scharr'` 3x3 stencils, which smooth noise.
+ * @param {string} [options.convention='opengl'] - Green channel: `'opengl'` (+y up) or `'directx'` (+y down).
+ * @param {string} [options.encoding='rgb'] - `'rgb'` or `'octahedral'`.
+ * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
+ *
+ * @example
+ * ```
+ * const tex = new THREE.StorageTexture(1024, 1024)
+ * const height = fbm((k) => perlin_noise2d(k), { octaves: 6 })
+ * renderer.compute(bake_normal_map_kernel(tex, (uv) => height(uv.mul(8)), { strength: 0.05, filter: 'sobel' }))
+ * mat.normalMap = tex
+ * ```
+ */
+export const bake_normal_map_kernel = (tex, f, { strength = 1, filter = 'forward', convention = 'opengl', encoding = 'rgb' } = {}) => {
+  if (filter !== 'forward' && !stencils[filter]) throw new Error(`Unknown gradient filter: ${filter}`)
+  if (convention !== 'opengl' && convention !== 'directx') throw new Error(`Unknown normal map convention: ${convention}`)
+  if (encoding !== 'rgb' && encoding !== 'octahedral') throw new Error(`Unknown normal map encoding: ${encoding}`)
+  const texel = $.vec2(1).div($.vec2(tex.width, tex.height).sub(1).max(1))
+  return write_texture2d_kernel(tex, (uv) => {
+    // Forward differences run in texel units, so each axis steps one texel.
+    const gradient = filter === 'forward'
+      ? forward_difference_gradient2d((p) => f(p.mul(texel)), uv.div(texel), 1).div(texel)
+      : stencil_gradient2d(f, uv, texel, stencils[filter])
+    const df = gradient.mul(strength)
+    const green = convention === 'opengl' ? df.y.negate() : df.y
+    const normal = $.vec3(df.x.negate(), green, 1).normalize()
+    return encoding === 'rgb'
+      ? $.vec4(normal.mul(0.5).add(0.5), 1)
+      : $.vec4(cartesian3d01_to_octahedral2d01(normal), 0, 1)
+  })
+}
+
+/**
+ * Create a compute kernel that bakes ambient occlusion and curvature of a height field.
+ *
+ * - Red: ambient occlusion in [0,1], 1 for unoccluded. For each direction,
+ *   the highest horizon within `radius` occludes the sine of its elevation.
+ * - Green: curvature, the negated Laplacian of the height remapped so 0.5 is
+ *   flat, above is convex (ridges) and below is concave (creases).
+ *
+ * @param {*} tex - The 2D storage texture to write into.
+ * @param {*} f - Height field function that takes a vec2 (uv) and returns a float.
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Height scale relative to uv units, as for the normal map.
+ * @param {*} [options.radius=0.05] - Occlusion search radius in uv.
+ * @param {number} [options.directions=8] - Number of horizon directions.
+ * @param {number} [options.steps=8] - Number of height samples per direction.
+ * @param {*} [options.curvature_scale=0.001] - Curvature multiplier before the remap to [0,1].
+ * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
+ *
+ * @example
+ * ```
+ * renderer.compute(bake_ao_curvature_kernel(tex, height, { strength: 0.05, radius: 0.02 }))
+ * mat.aoNode = texture(tex).r
+ * ```
+ */
+export const bake_ao_curvature_kernel = (tex, f, { strength = 1, radius = 0.05, directions = 8, steps = 8, curvature_scale = 0.001 } = {}) => {
+  const texel = $.vec2(1).div($.vec2(tex.width, tex.height).sub(1).max(1))
+  return write_texture2d_kernel(tex, (uv) => $.Fn(() => {
+    const height = (k) => $.float(f(k)).mul(strength)
+    const h0 = height(uv).toVar()
+    const occlusion = $.float(0).toVar()
+    $.Loop({ start: 0, end: directions, type: 'int' }, ({ i }) => {
+      const angle = $.float(i).add(0.5).mul(2 * Math.PI / directions)
+      const direction = $.vec2(angle.cos(), angle.sin())
+      const horizon = $.float(0).toVar()
+      $.Loop({ start: 1, end: steps + 1, type: 'int', name: 'j' }, ({ j }) => {
+        const t = $.float(j).mul($.float(radius).div(steps))
+        const dh = height(uv.add(direction.mul(t))).sub(h0)
+        horizon.assign(horizon.max(dh.div($.vec2(t, dh).length())))
+      })
+      occlusion.addAssign(horizon)
+    })
+    const ao = occlusion.div(directions).oneMinus()
+    const laplacian = height(uv.add($.vec2(texel.x, 0))).add(height(uv.sub($.vec2(texel.x, 0))))
+      .sub(h0.mul(2)).div(texel.x.pow2())
+      .add(height(uv.add($.vec2(0, texel.y))).add(height(uv.sub($.vec2(0, texel.y)))).sub(h0.mul(2)).div(texel.y.pow2()))
+    const curvature = laplacian.negate().mul(curvature_scale).add(0.5).clamp(0, 1)
+    return $.vec4(ao, curvature, 0, 1)
+  })())
+}
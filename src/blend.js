@@ -0,0 +1,283 @@
+import { TSL as $ } from 'three/webgpu'
+
+//
+// Layer blending
+//  Ref: https://www.w3.org/TR/compositing-1/
+//
+//  - `base` is the backdrop, `layer` is drawn over it; both are straight
+//    (non-premultiplied) colors, vec3 (opaque) or vec4 (with alpha).
+//  - `opacity` scales the layer alpha, so a float mask can be passed.
+//  - The result is a straight vec4, source-over composited.
+//  - Blend math runs on the input values as-is; for the reference look of
+//    image editors, blend gamma-encoded sRGB colors.
+//
+
+/**
+ * Composite a layer over a backdrop with a blend function (source-over).
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} opacity - Layer opacity or mask (float).
+ * @param {*} blend - `(cb, cs) => vec3` blend function.
+ * @returns {*} Composited color (vec4).
+ * @private
+ */
+const composite = (base, layer, opacity, blend) => {
+  base = $.vec4(base)
+  layer = $.vec4(layer)
+  const cb = base.rgb
+  const ab = base.a
+  const cs = layer.rgb
+  const as = layer.a.mul(opacity).clamp(0, 1)
+  const mixed = $.mix(cs, blend(cb, cs), ab) // Cs' = (1 - ab) Cs + ab B(Cb, Cs)
+  const ao = as.add(ab.mul(as.oneMinus()))
+  const co = mixed.mul(as).add(cb.mul(ab).mul(as.oneMinus()))
+  return $.vec4(co.div(ao.max(1e-6)), ao)
+}
+
+/**
+ * Lift a scalar blend function to a per-channel vec3 blend function.
+ *
+ * @param {*} f - `(cb, cs) => float` blend function.
+ * @returns {*} `(cb, cs) => vec3` blend function.
+ * @private
+ */
+const separable = (f) => (cb, cs) => $.vec3(f(cb.r, cs.r), f(cb.g, cs.g), f(cb.b, cs.b))
+
+//
+// Blend functions B(Cb, Cs)
+//
+
+const multiply = (cb, cs) => cb.mul(cs)
+const screen = (cb, cs) => cb.add(cs).sub(cb.mul(cs))
+const hard_light = separable((cb, cs) => $.select(
+  cs.lessThanEqual(0.5),
+  multiply(cb, cs.mul(2)),
+  screen(cb, cs.mul(2).sub(1))
+))
+const soft_light = separable((cb, cs) => {
+  const d = $.select(cb.lessThanEqual(0.25), cb.mul(16).sub(12).mul(cb).add(4).mul(cb), cb.sqrt())
+  return $.select(
+    cs.lessThanEqual(0.5),
+    cb.sub(cs.mul(2).oneMinus().mul(cb).mul(cb.oneMinus())),
+    cb.add(cs.mul(2).sub(1).mul(d.sub(cb)))
+  )
+})
+const color_dodge = separable((cb, cs) => $.select(
+  cb.lessThanEqual(0),
+  0,
+  $.select(cs.greaterThanEqual(1), 1, cb.div(cs.oneMinus()).min(1))
+))
+const color_burn = separable((cb, cs) => $.select(
+  cb.greaterThanEqual(1),
+  1,
+  $.select(cs.lessThanEqual(0), 0, cb.oneMinus().div(cs).min(1).oneMinus())
+))
+
+//
+// Non-separable blend helpers
+//  Lum uses the spec weights (0.3, 0.59, 0.11).
+//
+
+const lum = (c) => c.dot($.vec3(0.3, 0.59, 0.11))
+const sat = (c) => $.max(c.r, c.g, c.b).sub($.min(c.r, c.g, c.b))
+
+const clip_color = (c) => {
+  const l = lum(c)
+  const n = $.min(c.r, c.g, c.b)
+  const x = $.max(c.r, c.g, c.b)
+  const c0 = $.select(n.lessThan(0), c.sub(l).mul(l.div(l.sub(n))).add(l), c)
+  return $.select(x.greaterThan(1), c0.sub(l).mul(l.oneMinus().div(x.sub(l))).add(l), c0)
+}
+
+const set_lum = (c, l) => clip_color(c.add(l.sub(lum(c))))
+
+const set_sat = (c, s) => {
+  const n = $.min(c.r, c.g, c.b)
+  const x = $.max(c.r, c.g, c.b)
+  return $.select(x.greaterThan(n), c.sub(n).mul(s.div(x.sub(n))), $.vec3(0))
+}
+
+/**
+ * Normal blend, the layer alpha-composited over the backdrop.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ *
+ * @example
+ * ```
+ * mat.colorNode = blend_normal(base, vec4(decal, decal_alpha), mask)
+ * ```
+ */
+export const blend_normal = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => cs)
+})
+
+/**
+ * Multiply blend, darkens; white is neutral.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ *
+ * @example
+ * ```
+ * mat.colorNode = blend_multiply(base_color, color_ramp(stops, noise), 0.5).rgb
+ * ```
+ */
+export const blend_multiply = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, multiply)
+})
+
+/**
+ * Screen blend, lightens; black is neutral.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_screen = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, screen)
+})
+
+/**
+ * Overlay blend, multiply or screen depending on the backdrop; hard light with layers swapped.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_overlay = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => hard_light(cs, cb))
+})
+
+/**
+ * Soft light blend, a gentler overlay driven by the layer.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_soft_light = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, soft_light)
+})
+
+/**
+ * Hard light blend, multiply or screen depending on the layer.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_hard_light = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, hard_light)
+})
+
+/**
+ * Color dodge blend, brightens the backdrop to reflect the layer.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_color_dodge = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, color_dodge)
+})
+
+/**
+ * Color burn blend, darkens the backdrop to reflect the layer.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_color_burn = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, color_burn)
+})
+
+/**
+ * Difference blend, `|base - layer|`.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_difference = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => cb.sub(cs).abs())
+})
+
+/**
+ * Exclusion blend, a lower-contrast difference.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_exclusion = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => cb.add(cs).sub(cb.mul(cs).mul(2)))
+})
+
+/**
+ * Hue blend, the layer hue with the backdrop saturation and luminosity.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_hue = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => set_lum(set_sat(cs, sat(cb)), lum(cb)))
+})
+
+/**
+ * Saturation blend, the layer saturation with the backdrop hue and luminosity.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_saturation = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => set_lum(set_sat(cb, sat(cs)), lum(cb)))
+})
+
+/**
+ * Color blend, the layer hue and saturation with the backdrop luminosity.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ *
+ * @example
+ * ```
+ * // tint a grayscale noise with a ramp while keeping its shading
+ * mat.colorNode = blend_color(vec3(noise), color_ramp(stops, uv().x)).rgb
+ * ```
+ */
+export const blend_color = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => set_lum(cs, lum(cb)))
+})
+
+/**
+ * Luminosity blend, the layer luminosity with the backdrop hue and saturation.
+ *
+ * @param {*} base - Backdrop color (vec3 or vec4).
+ * @param {*} layer - Layer color (vec3 or vec4).
+ * @param {*} [opacity=1] - Layer opacity or mask (float).
+ * @returns {*} Composited color (vec4).
+ */
+export const blend_luminosity = $.Fn(([base, layer, opacity = 1]) => {
+  return composite(base, layer, opacity, (cb, cs) => set_lum(cb, lum(cs)))
+})
@@ -1,5 +1,470 @@
-// import * as THREE from 'three/webgpu'
-import { TSL as $ } from 'three/webgpu'
+import { TSL as $, Color, SRGBColorSpace, Vector4 } from 'three/webgpu'
+import { write_texture2d_kernel } from './compute.js'
+import { mirrored_repeat01, smootherstep } from './map.js'
+import {
+  linear_srgb_to_srgb,
+  srgb_to_linear_srgb,
+  linear_srgb_to_oklab,
+  oklab_to_linear_srgb,
+  linear_srgb_to_oklch,
+  oklch_to_linear_srgb,
+  rgb_to_hsv,
+  hsv_to_rgb
+} from './colorspace.js'
+
+//
+// Interpolation spaces
+//
+
+/**
+ * Convert a linear sRGB color into a ramp interpolation space.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @param {string} space - Interpolation space.
+ * @returns {*} Color in the interpolation space.
+ * @private
+ */
+const to_interpolation_space = (color, space) => {
+  switch (space) {
+    case 'srgb-linear': return color
+    case 'srgb': return linear_srgb_to_srgb(color)
+    case 'oklab': return linear_srgb_to_oklab(color)
+    case 'oklch': return linear_srgb_to_oklch(color)
+    case 'hsv': return rgb_to_hsv(linear_srgb_to_srgb(color))
+  }
+  throw new Error(`Unknown interpolation space: ${space}`)
+}
+
+/**
+ * Convert a color from a ramp interpolation space back to linear sRGB.
+ *
+ * @param {*} color - Color in the interpolation space.
+ * @param {string} space - Interpolation space.
+ * @returns {*} Linear sRGB color (vec3).
+ * @private
+ */
+const from_interpolation_space = (color, space) => {
+  switch (space) {
+    case 'srgb-linear': return color
+    case 'srgb': return srgb_to_linear_srgb(color)
+    case 'oklab': return oklab_to_linear_srgb(color)
+    case 'oklch': return oklch_to_linear_srgb(color)
+    case 'hsv': return srgb_to_linear_srgb(hsv_to_rgb(color))
+  }
+  throw new Error(`Unknown interpolation space: ${space}`)
+}
+
+/**
+ * Unwrap hue `h1` relative to the previous (unwrapped) hue `h0`,
+ * so that mixing the two travels along the requested hue path.
+ *
+ * @param {*} h0 - Previous hue, in turns.
+ * @param {*} h1 - Next hue, in turns.
+ * @param {string} hue - Hue path, `'shorter'` or `'longer'`.
+ * @returns {*} Unwrapped `h1`.
+ * @private
+ */
+const unwrap_hue = (h0, h1, hue) => {
+  const d = h1.sub(h0)
+  const shorter = d.sub(d.round())
+  switch (hue) {
+    case 'shorter': return h0.add(shorter)
+    case 'longer': return h0.add(shorter).add($.select(shorter.greaterThan(0), -1, 1))
+  }
+  throw new Error(`Unknown hue interpolation: ${hue}`)
+}
+
+/**
+ * Chroma (OKLCH) or saturation (HSV) below which a hue is powerless.
+ *
+ * @private
+ */
+const powerless_epsilon = 1e-4
+
+/**
+ * Whether a ramp interpolation space has a hue channel.
+ *
+ * @param {string} space - Interpolation space.
+ * @returns {boolean}
+ * @private
+ */
+const has_hue = (space) => space === 'oklch' || space === 'hsv'
+
+/**
+ * Hue of a color in a cylindrical space. Works on premultiplied colors too,
+ * as hue is never premultiplied.
+ *
+ * @param {*} color - Color in the interpolation space.
+ * @param {string} space - `'oklch'` or `'hsv'`.
+ * @returns {*} Hue, in turns.
+ * @private
+ */
+const hue_of = (color, space) => (space === 'oklch' ? color.z : color.x)
+
+/**
+ * Replace the hue of a color in a cylindrical space.
+ *
+ * @param {*} color - Color in the interpolation space (vec3).
+ * @param {*} h - Hue, in turns.
+ * @param {string} space - `'oklch'` or `'hsv'`.
+ * @returns {*} Color with hue `h`.
+ * @private
+ */
+const with_hue = (color, h, space) => (space === 'oklch' ? $.vec3(color.xy, h) : $.vec3(h, color.yz))
+
+/**
+ * Whether the hue of an achromatic color is powerless: white, gray and black
+ * have zero chroma (or saturation), so `atan2` gives them 0 or noise.
+ * Chroma (OKLCH) and saturation (HSV) are both the `y` channel.
+ *
+ * @param {*} color - Straight color in `'oklch'` or `'hsv'` (vec3).
+ * @returns {*} Bool node.
+ * @private
+ */
+const is_powerless_hue = (color) => color.y.lessThan(powerless_epsilon)
+
+/**
+ * Give an achromatic `color0` the hue of `color1`, the other end of its
+ * segment, as CSS does with powerless hues. Other colors are returned as is.
+ *
+ * @param {*} color0 - Straight color in the interpolation space (vec3).
+ * @param {*} color1 - Other end of the segment, in the interpolation space.
+ * @param {string} space - Interpolation space.
+ * @returns {*} `color0` with a usable hue.
+ * @private
+ */
+const adopt_powerless_hue = (color0, color1, space) => {
+  if (!has_hue(space)) return color0
+  const h = $.select(is_powerless_hue(color0), hue_of(color1, space), hue_of(color0, space))
+  return with_hue(color0, h, space)
+}
+
+/**
+ * Unwrap the hue of `color1` relative to `color0` in cylindrical spaces.
+ * An achromatic `color1` takes the hue of `color0` instead, so that e.g.
+ * blue to white keeps a constant hue, as CSS `in oklch` does.
+ *
+ * @param {*} color0 - Previous color in the interpolation space; only its hue is read.
+ * @param {*} color1 - Next straight color in the interpolation space (vec3).
+ * @param {string} space - Interpolation space.
+ * @param {string} hue - Hue path, `'shorter'` or `'longer'`.
+ * @returns {*} `color1` with unwrapped hue.
+ * @private
+ */
+const unwrap_color_hue = (color0, color1, space, hue) => {
+  if (!has_hue(space)) return color1
+  const h0 = hue_of(color0, space)
+  const h1 = unwrap_hue(h0, hue_of(color1, space), hue)
+  return with_hue(color1, $.select(is_powerless_hue(color1), h0, h1), space)
+}
+
+/**
+ * Mask of the channels scaled by alpha when premultiplying in an
+ * interpolation space. Hue is never premultiplied, as in CSS.
+ *
+ * @param {string} space - Interpolation space.
+ * @returns {*} vec3 mask, 1 for premultiplied channels.
+ * @private
+ */
+const premultiply_mask = (space) => {
+  switch (space) {
+    case 'oklch': return $.vec3(1, 1, 0)
+    case 'hsv': return $.vec3(0, 1, 1)
+  }
+  return $.vec3(1)
+}
+
+/**
+ * Premultiply a color in the interpolation space by alpha.
+ *
+ * @param {*} color - Color in the interpolation space (vec3).
+ * @param {*} alpha - Alpha (float).
+ * @param {string} space - Interpolation space.
+ * @returns {*} Premultiplied color (vec4).
+ * @private
+ */
+const premultiply = (color, alpha, space) => {
+  const factor = $.mix($.vec3(1), $.vec3(alpha), premultiply_mask(space))
+  return $.vec4(color.mul(factor), alpha)
+}
+
+/**
+ * Undo {@link premultiply}. Fully transparent colors become black.
+ *
+ * @param {*} color - Premultiplied color (vec4).
+ * @param {string} space - Interpolation space.
+ * @returns {*} Straight-alpha color (vec4).
+ * @private
+ */
+const unpremultiply = (color, space) => {
+  const factor = $.mix($.vec3(1), $.vec3(color.a.max(1e-6)), premultiply_mask(space))
+  return $.vec4(color.rgb.div(factor), color.a)
+}
+
+/**
+ * Convert a ramp stop color to a linear sRGB + alpha `Vector4`.
+ *
+ * Strings are parsed as CSS colors, so `'rgba(...)'`, `'#rrggbbaa'`,
+ * `'hsla(...)'` and `'transparent'` keep their alpha.
+ *
+ * @param {*} color - `Vector4`, or any value accepted by `THREE.Color`.
+ * @returns {Vector4} Linear sRGB color and straight alpha.
+ * @private
+ */
+const to_rgba_vector = (color) => {
+  if (color.isVector4) return color.clone()
+  const [rgb, alpha] = (typeof color === 'string' && parse_css_color(color)) || [new Color(color), 1]
+  return new Vector4(rgb.r, rgb.g, rgb.b, alpha)
+}
+
+/**
+ * Convert a ramp stop color to a vec4 node. vec3 nodes get alpha 1.
+ *
+ * @param {*} color - Color node, `Vector4`, or any value accepted by `THREE.Color`.
+ * @returns {*} Linear sRGB color and straight alpha (vec4).
+ * @private
+ */
+const to_rgba = (color) => {
+  return $.vec4(color.isNode ? color : to_rgba_vector(color))
+}
+
+/**
+ * Build ramp stops as `[position, color, alpha, hint]` nodes, colors straight
+ * in the interpolation space. `hint` is `undefined` for stops without one.
+ *
+ * Every stop color is converted once. Hues are resolved and unwrapped per
+ * segment, see {@link adopt_powerless_hue} and {@link unwrap_color_hue}.
+ *
+ * @param {*} stops - Array of `[position, color]` or `[position, color, hint]` stops
+ * @param {string} space - Interpolation space.
+ * @returns {*} Array of `[position, color, alpha, hint]` nodes.
+ * @private
+ */
+const to_ramp_stops = (stops, space) => {
+  return stops.map((x) => {
+    const rgba = to_rgba(x[1])
+    return [$.float(x[0]), $.vec3(to_interpolation_space(rgba.rgb, space)), rgba.a, x[2]]
+  })
+}
+
+/**
+ * Remap a segment parameter by the CSS color hint curve, `t^(log(0.5) / log(hint))`,
+ * so that the two colors of the segment mix half-and-half at `hint`.
+ *
+ * Ref: https://drafts.csswg.org/css-images-4/#coloring-gradient-line
+ *
+ * @param {*} t - Position within the segment, 0 at its start and 1 at its end.
+ * @param {*} hint - Hint, as a fraction of the segment in (0,1); 0.5 is linear.
+ * @returns {*} Remapped position, in [0,1].
+ * @private
+ */
+const hint_curve = (t, hint) => {
+  const exponent = $.log(0.5).div($.log($.float(hint).clamp(1e-6, 1 - 1e-6)))
+  return t.clamp(0, 1).pow(exponent)
+}
+
+/**
+ * Convert an interpolated ramp color back to linear sRGB.
+ *
+ * @param {*} color - Interpolated color, premultiplied vec4 if `alpha`.
+ * @param {string} space - Interpolation space.
+ * @param {boolean} alpha - Whether alpha was interpolated.
+ * @returns {*} Linear sRGB color (vec3), or color and straight alpha (vec4).
+ * @private
+ */
+const from_ramp_color = (color, space, alpha) => {
+  if (!alpha) return from_interpolation_space(color, space)
+  color = unpremultiply(color, space)
+  return $.vec4(from_interpolation_space(color.rgb, space), color.a)
+}
+
+//
+// Color ramps
+//  Ref: Blender ColorRamp node (BKE_colorband_evaluate)
+//
+
+/**
+ * Interpolation modes supported by {@link color_ramp}.
+ *
+ * @private
+ */
+const color_ramp_modes = [
+  'linear', 'step-start', 'step-end', 'ease', 'smootherstep',
+  'catmull-rom', 'cardinal', 'b-spline'
+]
+
+/**
+ * Cubic spline weights for the four colors around a ramp segment.
+ *
+ * @param {string} mode - `'catmull-rom'`, `'cardinal'` or `'b-spline'`.
+ * @param {*} t - Position within the segment, in [0,1].
+ * @param {number} tension - Cardinal tangent scale.
+ * @returns {*} vec4 weights for the previous, start, end and next colors.
+ * @private
+ */
+const spline_weights = (mode, t, tension) => {
+  const t2 = t.mul(t)
+  const t3 = t2.mul(t)
+  if (mode === 'b-spline') {
+    return $.vec4(
+      t3.mul(-1 / 6).add(t2.mul(0.5)).sub(t.mul(0.5)).add(1 / 6),
+      t3.mul(0.5).sub(t2).add(2 / 3),
+      t3.mul(-0.5).add(t2.mul(0.5)).add(t.mul(0.5)).add(1 / 6),
+      t3.mul(1 / 6)
+    )
+  }
+  const fc = mode === 'catmull-rom' ? 0.5 : tension
+  return $.vec4(
+    t3.mul(-fc).add(t2.mul(2 * fc)).sub(t.mul(fc)),
+    t3.mul(2 - fc).add(t2.mul(fc - 3)).add(1),
+    t3.mul(fc - 2).add(t2.mul(3 - 2 * fc)).add(t.mul(fc)),
+    t3.mul(fc).sub(t2.mul(fc))
+  )
+}
+
+/**
+ * Evaluates one ramp segment between `color0` and `color1`.
+ *
+ * @param {string} mode - Interpolation mode.
+ * @param {*} colors - `[color_prev, color0, color1, color_next]` around the segment.
+ * @param {*} t - Position within the segment, 0 at `color0` and 1 at `color1`.
+ * @param {number} tension - Cardinal tangent scale.
+ * @returns {*} Segment color.
+ * @private
+ */
+const ramp_segment = (mode, [color_prev, color0, color1, color_next], t, tension) => {
+  switch (mode) {
+    case 'linear': return $.mix(color0, color1, t.clamp(0, 1))
+    case 'step-start': return $.select(t.lessThan(1), color0, color1)
+    case 'step-end': return $.select(t.greaterThan(0), color1, color0)
+    case 'ease': return $.mix(color0, color1, $.smoothstep(0, 1, t))
+    case 'smootherstep': return $.mix(color0, color1, smootherstep($.float(0), $.float(1), t))
+  }
+  const w = spline_weights(mode, t.clamp(0, 1), tension)
+  return color_prev.mul(w.x)
+    .add(color0.mul(w.y))
+    .add(color1.mul(w.z))
+    .add(color_next.mul(w.w))
+}
+
+/**
+ * Samples a color ramp defined by stops, using the given interpolation mode.
+ *
+ * Stops are `[position, color]` pairs. Positions can be any numbers.
+ * Most cases use ascending order, but array order is respected.
+ *
+ * Modes follow Blender's ColorRamp node:
+ * - `'linear'`: linear blend between stops
+ * - `'step-start'`: hold each color until the next stop (Blender "Constant")
+ * - `'step-end'`: jump to the next color right after each stop
+ * - `'ease'`: smoothstep blend per segment
+ * - `'smootherstep'`: smootherstep blend per segment
+ * - `'catmull-rom'`: Catmull-Rom spline through the stops
+ * - `'cardinal'`: cardinal spline through the stops, tangents scaled by `tension`
+ * - `'b-spline'`: uniform cubic B-spline, approximating the stops
+ *
+ * Spline modes may overshoot the stop colors.
+ *
+ * Colors are interpolated in `options.space`. Cylindrical spaces follow
+ * CSS hue interpolation, e.g. `{ space: 'oklch' }` matches `in oklch`.
+ * As in CSS, achromatic stops (white, gray, black) have a powerless hue and
+ * take the hue of the other end of each segment, so `blue` to `white` keeps
+ * a constant hue. HSV is derived from gamma-encoded sRGB, as in CSS.
+ *
+ * With `options.alpha`, stop colors may carry alpha (vec4 nodes, `Vector4`,
+ * or CSS strings such as `'rgba(0, 0, 255, 0.5)'`), colors are interpolated
+ * premultiplied, and the result is a vec4.
+ *
+ * A stop may carry a color hint as a third element, as in CSS
+ * `red, 25%, blue`: the fraction of the way to the next stop, in (0,1), at
+ * which the two colors mix half-and-half. The hint curve reshapes the segment
+ * in `options.space`, before the mode's blend.
+ *
+ * @param {*} stops - Array of `[position, color]` or `[position, color, hint]` stops
+ * @param {*} position - Sample position (float)
+ * @param {Object} [options]
+ * @param {string} [options.mode='linear'] - Interpolation mode.
+ * @param {string} [options.space='srgb-linear'] - Interpolation space:
+ *   `'srgb-linear'`, `'srgb'`, `'oklab'`, `'oklch'` or `'hsv'`.
+ * @param {string} [options.hue='shorter'] - Hue path for `'oklch'` and `'hsv'`: `'shorter'` or `'longer'`.
+ * @param {number} [options.tension=0.71] - Tangent scale for `'cardinal'` (Blender uses 0.71, Catmull-Rom is 0.5).
+ * @param {boolean} [options.alpha=false] - Interpolate alpha and return a vec4.
+ * @returns {*} Interpolated color node
+ *
+ * @example
+ * ```
+ * mat.colorNode = color_ramp([
+ *   [0.0, 'black'],
+ *   [0.4, 'orange'],
+ *   [1.0, 'white']
+ * ], uv().x, { mode: 'b-spline', space: 'oklab' })
+ *
+ * mat.colorNode = color_ramp([
+ *   [0.0, 'red'],
+ *   [1.0, 'transparent']
+ * ], uv().x, { alpha: true })
+ *
+ * // red and blue mix half-and-half at 0.25
+ * mat.colorNode = color_ramp([
+ *   [0.0, 'red', 0.25],
+ *   [1.0, 'blue']
+ * ], uv().x, { space: 'oklab' })
+ * ```
+ */
+export const color_ramp = (stops, position, { mode = 'linear', space = 'srgb-linear', hue = 'shorter', tension = 0.71, alpha = false } = {}) => {
+  if (!color_ramp_modes.includes(mode)) {
+    throw new Error(`Unknown color ramp mode: ${mode}`)
+  }
+  stops = to_ramp_stops(stops, space)
+  // Straight stop colors are premultiplied only once their hue is resolved.
+  const finish = (color, i) => (alpha ? premultiply(color, stops[i][2], space) : color)
+  position = $.float(position)
+  let color = finish(stops[0][1], 0)
+  for (let i = 0; i < stops.length - 1; ++i) {
+    const position0 = stops[i][0]
+    const position1 = stops[i + 1][0]
+    const t = position.sub(position0).div(position1.sub(position0))
+    // `t` still decides which segment applies; `w` weights the colors.
+    const w = stops[i][3] === undefined ? t : hint_curve(t, stops[i][3])
+    // An achromatic stop takes the hue of the other end of the segment.
+    const color0 = adopt_powerless_hue(stops[i][1], stops[i + 1][1], space)
+    const start = has_hue(space)
+      ? $.select(is_powerless_hue(stops[i][1]).and(t.greaterThan(0)), finish(color0, i), color)
+      : color
+    const color1 = finish(unwrap_color_hue(start, stops[i + 1][1], space, hue), i + 1)
+    switch (mode) {
+      case 'linear':
+        color = $.mix(start, color1, w.clamp(0, 1))
+        break
+      case 'step-start':
+        color = $.select(t.lessThan(1), start, color1)
+        break
+      case 'step-end':
+        color = $.select(t.greaterThan(0), color1, start)
+        break
+      case 'ease':
+        color = $.mix(start, color1, $.smoothstep(0, 1, w))
+        break
+      case 'smootherstep':
+        color = $.mix(start, color1, smootherstep($.float(0), $.float(1), w))
+        break
+      default: {
+        // End stops are repeated to get neighbors for the outer segments.
+        const i_prev = Math.max(i - 1, 0)
+        const i_next = Math.min(i + 2, stops.length - 1)
+        const spline_color1 = unwrap_color_hue(color0, stops[i + 1][1], space, hue)
+        const spline = ramp_segment(mode, [
+          finish(unwrap_color_hue(color0, stops[i_prev][1], space, hue), i_prev),
+          finish(color0, i),
+          finish(spline_color1, i + 1),
+          finish(unwrap_color_hue(spline_color1, stops[i_next][1], space, hue), i_next)
+        ], w, tension)
+        color = i === 0 ? spline : $.select(t.greaterThanEqual(0), spline, color)
+      }
+    }
+  }
+  return from_ramp_color(color, space, alpha)
+}
 
 /**
  * Linearly interpolates between color stops and samples the color at a given position.
@@ -7,8 +472,11 @@ import { TSL as $ } from 'three/webgpu'
  * Stops are `[position, color]` pairs. Positions can be any numbers.
  * Most cases use ascending order, but array order is respected.
  *
+ * Alias of {@link color_ramp} with mode `'linear'`.
+ *
  * @param {*} stops - Array of `[position, color]` stops
  * @param {*} position - Sample position (float)
+ * @param {Object} [options] - Options of {@link color_ramp}, except `mode`.
  * @returns {*} Interpolated color node
  *
  * @example
@@ -18,20 +486,15 @@ import { TSL as $ } from 'three/webgpu'
  *   [0.7, 'lime'],
  *   [0.9, color(0, 0, oscSine(time))]
  * ], uv().x)
+ *
+ * mat.colorNode = color_ramp_linear([
+ *   [0.0, 'red'],
+ *   [1.0, 'lime']
+ * ], uv().x, { space: 'oklch', hue: 'longer' })
  * ```
  */
-export const color_ramp_linear = (stops, position) => {
-  stops = stops.map((x) => [$.float(x[0]), $.color(x[1])])
-  position = $.float(position)
-  let color = stops[0][1]
-  for (let i = 0; i < stops.length - 1; ++i) {
-    const position0 = stops[i][0]
-    const position1 = stops[i + 1][0]
-    const color1 = stops[i + 1][1]
-    const t = position.sub(position0).div(position1.sub(position0)).clamp(0, 1)
-    color = $.mix(color, color1, t)
-  }
-  return color
+export const color_ramp_linear = (stops, position, options = {}) => {
+  return color_ramp(stops, position, { ...options, mode: 'linear' })
 }
 
 /**
@@ -40,8 +503,11 @@ export const color_ramp_linear = (stops, position) => {
  * Stops are `[position, color]` pairs. Positions can be any numbers.
  * Most cases use ascending order, but array order is respected.
  *
+ * Alias of {@link color_ramp} with mode `'step-start'`.
+ *
  * @param {*} stops - Array of `[position, color]` stops
  * @param {*} position - Sample position (float)
+ * @param {Object} [options] - Options of {@link color_ramp}, except `mode`.
  * @returns {*} Interpolated color node
  * 
  * @example
@@ -52,18 +518,8 @@ export const color_ramp_linear = (stops, position) => {
  * ], uv().x)
  * ```
  */
-export const color_ramp_step_start = (stops, position) => {
-  stops = stops.map((x) => [$.float(x[0]), $.color(x[1])])
-  position = $.float(position)
-  let color = stops[0][1]
-  for (let i = 0; i < stops.length - 1; ++i) {
-    const position0 = stops[i][0]
-    const position1 = stops[i + 1][0]
-    const color1 = stops[i + 1][1]
-    const t = position.sub(position0).div(position1.sub(position0))
-    color = $.select(t.lessThan(1), color, color1)
-  }
-  return color
+export const color_ramp_step_start = (stops, position, options = {}) => {
+  return color_ramp(stops, position, { ...options, mode: 'step-start' })
 }
 
 /**
@@ -72,8 +528,11 @@ export const color_ramp_step_start = (stops, position) => {
  * Stops are `[position, color]` pairs. Positions can be any numbers.
  * Most cases use ascending order, but array order is respected.
  *
+ * Alias of {@link color_ramp} with mode `'step-end'`.
+ *
  * @param {*} stops - Array of `[position, color]` stops
  * @param {*} position - Sample position (float)
+ * @param {Object} [options] - Options of {@link color_ramp}, except `mode`.
  * @returns {*} Interpolated color node
  * 
  * @example
@@ -84,30 +543,429 @@ export const color_ramp_step_start = (stops, position) => {
  * ], uv().x)
  * ```
  */
-export const color_ramp_step_end = (stops, position) => {
-  stops = stops.map((x) => [$.float(x[0]), $.color(x[1])])
+export const color_ramp_step_end = (stops, position, options = {}) => {
+  return color_ramp(stops, position, { ...options, mode: 'step-end' })
+}
+
+//
+// Editable color ramps
+//
+
+/**
+ * Creates a color ramp whose stops can be edited at runtime.
+ *
+ * Stops live in uniform arrays of a fixed capacity (`max_stops`), so adding,
+ * removing, moving or recoloring stops only updates GPU data; the material
+ * is never rebuilt. Stops are kept sorted by position, and methods that
+ * change the order return the stop's new index. Methods taking an index
+ * throw if no stop has that index.
+ *
+ * Stop colors are JS values: `Vector4` (linear sRGB + alpha), or anything
+ * accepted by `THREE.Color` (e.g. `'red'`, `0xff0000`). CSS strings keep
+ * their alpha, which is used with `options.alpha`. Color hints work as in
+ * {@link color_ramp}; a stop without one has hint 0.5 (linear).
+ *
+ * @param {*} stops - Array of initial `[position, color]` or `[position, color, hint]` stops, at least one
+ * @param {Object} [options] - Options of {@link color_ramp}, plus:
+ * @param {number} [options.max_stops=16] - Maximum number of stops.
+ * @returns {*} Ramp object:
+ *   - `stops`: current `[position, Vector4, hint]` stops, sorted (read-only)
+ *   - `sample(position)`: sampled color node
+ *   - `add_stop(position, color, hint = 0.5)`: adds a stop, returns its index
+ *   - `remove_stop(index)`: removes a stop; the last stop cannot be removed
+ *   - `move_stop(index, position)`: moves a stop, returns its new index
+ *   - `recolor_stop(index, color)`: changes a stop color
+ *
+ * @example
+ * ```
+ * const ramp = color_ramp_editable([[0, 'red'], [1, 'blue']], { space: 'oklab' })
+ * mat.colorNode = ramp.sample(uv().x)
+ *
+ * const index = ramp.add_stop(0.5, 'lime')
+ * ramp.move_stop(index, 0.25)
+ * ```
+ */
+export const color_ramp_editable = (stops, { max_stops = 16, mode = 'linear', space = 'srgb-linear', hue = 'shorter', tension = 0.71, alpha = false } = {}) => {
+  if (!color_ramp_modes.includes(mode)) {
+    throw new Error(`Unknown color ramp mode: ${mode}`)
+  }
+  if (stops.length === 0) {
+    throw new Error('Color ramp needs at least one stop')
+  }
+  if (stops.length > max_stops) {
+    throw new Error(`Color ramp exceeds ${max_stops} stops`)
+  }
+  const positions = $.uniformArray(new Array(max_stops).fill(0), 'float')
+  const colors = $.uniformArray(Array.from({ length: max_stops }, () => new Vector4()), 'vec4')
+  const hints = $.uniformArray(new Array(max_stops).fill(0.5), 'float')
+  const count = $.uniform(0, 'int')
+  const entries = stops.map((x) => [x[0], to_rgba_vector(x[1]), x[2] ?? 0.5])
+
+  const update = (entry) => {
+    entries.sort((a, b) => a[0] - b[0])
+    entries.forEach(([position, rgba, hint], i) => {
+      positions.array[i] = position
+      colors.array[i].copy(rgba)
+      hints.array[i] = hint
+    })
+    count.value = entries.length
+    return entries.indexOf(entry)
+  }
+  update()
+
+  const check_index = (index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= entries.length) {
+      throw new Error(`Color ramp has no stop at index ${index}`)
+    }
+  }
+
+  const sample = (position) => $.Fn(() => {
+    position = $.float(position)
+    const last = count.sub(1)
+    // Find the segment containing position; stops are sorted.
+    const index = $.int(0).toVar()
+    $.Loop({ start: 1, end: last, type: 'int' }, ({ i }) => {
+      index.assign($.select(position.greaterThanEqual(positions.element(i)), i, index))
+    })
+    const position0 = positions.element(index)
+    const position1 = positions.element(index.add(1).min(last))
+    const t = hint_curve(position.sub(position0).div(position1.sub(position0).max(1e-6)), hints.element(index))
+    const rgba = [index.sub(1), index, index.add(1), index.add(2)]
+      .map((i) => colors.element(i.clamp(0, last)))
+    const [prev, stop0, next1, next2] = rgba
+      .map((x) => $.vec3(to_interpolation_space(x.rgb, space)))
+    const color0 = adopt_powerless_hue(stop0, next1, space)
+    const color1 = unwrap_color_hue(color0, next1, space, hue)
+    let colors4 = [
+      unwrap_color_hue(color0, prev, space, hue),
+      color0,
+      color1,
+      unwrap_color_hue(color1, next2, space, hue)
+    ]
+    if (alpha) {
+      colors4 = colors4.map((x, i) => premultiply(x, rgba[i].a, space))
+    }
+    const color = ramp_segment(mode, colors4, t, tension)
+    return from_ramp_color(color, space, alpha)
+  })()
+
+  return {
+    get stops() {
+      return entries.map(([position, rgba, hint]) => [position, rgba.clone(), hint])
+    },
+    sample,
+    add_stop(position, color, hint = 0.5) {
+      if (entries.length >= max_stops) {
+        throw new Error(`Color ramp exceeds ${max_stops} stops`)
+      }
+      const entry = [position, to_rgba_vector(color), hint]
+      entries.push(entry)
+      return update(entry)
+    },
+    remove_stop(index) {
+      check_index(index)
+      if (entries.length === 1) {
+        throw new Error('Color ramp needs at least one stop')
+      }
+      entries.splice(index, 1)
+      update()
+    },
+    move_stop(index, position) {
+      check_index(index)
+      const entry = entries[index]
+      entry[0] = position
+      return update(entry)
+    },
+    recolor_stop(index, color) {
+      check_index(index)
+      entries[index][1].copy(to_rgba_vector(color))
+      update()
+    }
+  }
+}
+
+//
+// Baked color ramps
+//
+
+/**
+ * Create a compute kernel that bakes color ramps into a LUT storage texture.
+ *
+ * Each texture row holds one ramp, sampled at `tex.width` evenly spaced
+ * positions from `start` (first texel) to `end` (last texel). Pass a single
+ * ramp for a 1D LUT (`height = 1`), or an array of ramps (one per row) for
+ * a 2D LUT. A ramp is any function mapping a position to a color, so every
+ * interpolation mode can be baked. vec4 colors keep their alpha; vec3
+ * colors are stored opaque.
+ *
+ * Use a float texture type (e.g. `THREE.HalfFloatType`) to avoid banding.
+ *
+ * @param {*} tex - The 2D storage texture to bake into.
+ * @param {*} ramps - Ramp function `(position) => color`, or an array of them (one per row).
+ * @param {*} [start=0] - Position baked into the first texel.
+ * @param {*} [end=1] - Position baked into the last texel.
+ * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
+ *
+ * @example
+ * ```
+ * const stops = [[0.0, 'red'], [0.5, 'lime'], [1.0, 'blue']]
+ * const tex = new THREE.StorageTexture(256, 1)
+ * tex.type = THREE.HalfFloatType
+ * renderer.compute(color_ramp_bake_kernel(tex, (t) => color_ramp_linear(stops, t)))
+ * mat.colorNode = color_ramp_baked(tex, uv().x)
+ * ```
+ */
+export const color_ramp_bake_kernel = (tex, ramps, start = 0, end = 1) => {
+  ramps = Array.isArray(ramps) ? ramps : [ramps]
+  return write_texture2d_kernel(tex, (uv01) => {
+    const position = $.mix($.float(start), $.float(end), uv01.x)
+    const row = uv01.y.mul(Math.max(tex.height - 1, 1)).round()
+    let color = $.vec4(ramps[0](position))
+    for (let i = 1; i < ramps.length; ++i) {
+      color = $.select(row.equal(i), $.vec4(ramps[i](position)), color)
+    }
+    return color
+  })
+}
+
+/**
+ * Samples a color ramp baked by {@link color_ramp_bake_kernel}.
+ *
+ * Shader cost is a single texture fetch regardless of stop count.
+ * Positions outside `[start, end]` are addressed by `wrap`:
+ * - `'clamp'`: hold the end colors
+ * - `'repeat'`: restart the ramp every period
+ * - `'mirror'`: run the ramp back and forth
+ *
+ * @param {*} tex - The baked LUT texture.
+ * @param {*} position - Sample position (float)
+ * @param {Object} [options]
+ * @param {string} [options.wrap='clamp'] - Addressing mode: `'clamp'`, `'repeat'` or `'mirror'`.
+ * @param {*} [options.row=0] - Row (ramp index) to sample in a 2D LUT.
+ * @param {*} [options.start=0] - Position baked into the first texel.
+ * @param {*} [options.end=1] - Position baked into the last texel.
+ * @param {boolean} [options.alpha=false] - Return a vec4 including baked alpha.
+ * @returns {*} Sampled color node
+ *
+ * @example
+ * ```
+ * mat.colorNode = color_ramp_baked(tex, uv().x.mul(4), { wrap: 'mirror' })
+ * ```
+ */
+export const color_ramp_baked = (tex, position, { wrap = 'clamp', row = 0, start = 0, end = 1, alpha = false } = {}) => {
   position = $.float(position)
-  let color = stops[0][1]
-  for (let i = 0; i < stops.length - 1; ++i) {
-    const position0 = stops[i][0]
-    const position1 = stops[i + 1][0]
-    const color1 = stops[i + 1][1]
-    const t = position.sub(position0).div(position1.sub(position0))
-    color = $.select(t.greaterThan(0), color1, color)
-  }
-  return color
-}
-
-// @TODO: maybe
-// export const color_ramp_linear_baked = (stops, renderer, size = 128) => {
-//   const texture = new THREE.StorageTexture(size, 1)
-//   if (stops.length === 0) return texture
-//   const compute_node = $.Fn(() => {
-//     const index = $.float($.globalId.x)
-//     const fac = index.div(size - 1)
-//     const color = color_ramp_linear(stops, fac)
-//     $.textureStore(texture, $.uvec2(index, 0), $.vec4(color, 1))
-//   })().compute(size, [256, 1, 1])
-//   renderer.compute(compute_node)
-//   return texture
-// }
+  const k = position.sub(start).div($.float(end).sub(start))
+  const t = wrap === 'repeat'
+    ? k.fract()
+    : wrap === 'mirror'
+      ? mirrored_repeat01(k)
+      : k.clamp(0, 1)
+  // Map [0,1] onto texel centers so filtering interpolates between stops.
+  const size = $.vec2(tex.width, tex.height)
+  const texel = $.vec2(t.mul(size.x.sub(1)), row).add(0.5)
+  const color = $.texture(tex, texel.div(size))
+  return alpha ? color : color.rgb
+}
+
+//
+// CSS gradients
+//  Ref: https://drafts.csswg.org/css-images-4/#color-stop-syntax
+//
+
+/**
+ * Split a CSS value on a separator, ignoring separators inside parentheses.
+ *
+ * @param {string} css - CSS value.
+ * @param {RegExp} separator - Single-character separator pattern.
+ * @returns {string[]} Trimmed, non-empty parts.
+ * @private
+ */
+const split_css = (css, separator) => {
+  const parts = ['']
+  let depth = 0
+  for (const char of css) {
+    if (char === '(') ++depth
+    if (char === ')') --depth
+    if (depth === 0 && separator.test(char)) parts.push('')
+    else parts[parts.length - 1] += char
+  }
+  return parts.map((x) => x.trim()).filter(Boolean)
+}
+
+/**
+ * Parse a CSS number, percentage or angle.
+ *
+ * @param {string} css - CSS value, e.g. `'50%'`, `'0.5'`, `'90deg'`.
+ * @param {number} [scale=1] - Value of a plain number that maps to 1 (percentages always map 100% to 1).
+ * @returns {number} Parsed value; angles are in turns.
+ * @private
+ */
+const parse_css_number = (css, scale = 1) => {
+  const match = css.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/i)
+  if (!match) throw new Error(`Unsupported CSS value: ${css}`)
+  const value = parseFloat(match[1])
+  switch (match[2]?.toLowerCase()) {
+    case '%': return value / 100
+    case 'deg': return value / 360
+    case 'grad': return value / 400
+    case 'rad': return value / (2 * Math.PI)
+    case 'turn': return value
+  }
+  return value / scale
+}
+
+/**
+ * Parse a CSS color into a `THREE.Color` (linear sRGB) and alpha.
+ *
+ * Supports named colors, `transparent`, hex (3, 4, 6 and 8 digits),
+ * `rgb()`/`rgba()` and `hsl()`/`hsla()` in comma or space syntax.
+ *
+ * @param {string} css - CSS color.
+ * @returns {Array|null} `[Color, alpha]`, or `null` if `css` is not a color.
+ * @private
+ */
+const parse_css_color = (css) => {
+  css = css.trim().toLowerCase()
+  if (css === 'transparent') return [new Color(0, 0, 0), 0]
+  if (css in Color.NAMES) return [new Color(css), 1]
+  const hex = css.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1]
+    const alpha = digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1
+    return [new Color().setHex(parseInt(digits.slice(0, 6), 16)), alpha]
+  }
+  const fn = css.match(/^(rgba?|hsla?)\((.*)\)$/)
+  if (!fn) return null
+  const [x, y, z, a = '1'] = fn[2].split(/[\s,/]+/).filter(Boolean)
+  const alpha = parse_css_number(a)
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = [x, y, z].map((k) => parse_css_number(k, 255))
+    return [new Color().setRGB(r, g, b, SRGBColorSpace), alpha]
+  }
+  const h = parse_css_number(/^[+-]?[\d.]+$/.test(x) ? `${x}deg` : x)
+  const [sat, light] = [y, z].map((k) => parse_css_number(k, 100))
+  return [new Color().setHSL(h - Math.floor(h), sat, light, SRGBColorSpace), alpha]
+}
+
+/**
+ * Color interpolation spaces of CSS gradients (`in <space>`) supported by
+ * {@link color_ramp}.
+ *
+ * @private
+ */
+const css_interpolation_spaces = ['srgb', 'srgb-linear', 'oklab', 'oklch']
+
+/**
+ * Parse the color interpolation method of a CSS gradient, e.g.
+ * `in oklch longer hue`, from the tokens of its first argument.
+ *
+ * @param {string[]} tokens - Tokens of the first gradient argument.
+ * @returns {Object|null} `{ space, hue }`, or `null` if there is no `in`.
+ * @private
+ */
+const parse_css_interpolation = (tokens) => {
+  const index = tokens.findIndex((x) => x.toLowerCase() === 'in')
+  if (index < 0) return null
+  const [space, hue, keyword] = tokens.slice(index + 1).map((x) => x.toLowerCase())
+  if (!css_interpolation_spaces.includes(space)) {
+    throw new Error(`Unsupported CSS interpolation space: ${space}`)
+  }
+  if (keyword !== 'hue') return { space, hue: 'shorter' }
+  if (space !== 'oklch' || (hue !== 'shorter' && hue !== 'longer')) {
+    throw new Error(`Unsupported CSS hue interpolation: ${hue} hue in ${space}`)
+  }
+  return { space, hue }
+}
+
+/**
+ * Parse a CSS gradient into color ramp stops and interpolation options.
+ *
+ * Accepts `linear-gradient()`, `radial-gradient()`, `conic-gradient()` and
+ * their `repeating-` variants. The shape (angle, direction, `at`, `from`) is
+ * ignored; the color interpolation method (`in <space> [<hue> hue]`) is
+ * returned as `space` and `hue` options, defaulting to `'srgb'` (gamma
+ * encoded) as CSS does for these colors. Positions are percentages mapped to
+ * [0,1] (conic gradients also accept angles, in turns).
+ *
+ * Follows the CSS rules for missing and out-of-order positions, and for
+ * double-position stops. Color hints become the third element of the stop
+ * before them, as a fraction of its segment (see {@link color_ramp}), so the
+ * ramp applies the hint curve in its own space.
+ *
+ * Stop colors are `Vector4` (linear sRGB + alpha); pass `{ alpha: true }`
+ * to the ramp to keep alpha.
+ *
+ * @param {string} css - CSS gradient.
+ * @returns {Object} `{ stops, space, hue }`: array of `[position, Vector4]`
+ *   or `[position, Vector4, hint]` stops, and options of {@link color_ramp}.
+ *
+ * @example
+ * ```
+ * const { stops, ...options } = parse_css_gradient('linear-gradient(in oklch, red 10%, 30%, rgba(0,0,255,0.5) 90%)')
+ * mat.colorNode = color_ramp(stops, uv().x, { ...options, alpha: true })
+ * ```
+ */
+export const parse_css_gradient = (css) => {
+  const match = css.trim().match(/^(?:repeating-)?(?:linear|radial|conic)-gradient\((.*)\)$/is)
+  if (!match) throw new Error(`Unsupported CSS gradient: ${css}`)
+  const args = split_css(match[1], /,/)
+
+  // Each item is a stop `{ color, position }` or a hint `{ position }`.
+  const items = []
+  let interpolation = null
+  for (const [i, arg] of args.entries()) {
+    const tokens = split_css(arg, /\s/)
+    const colors = tokens.map(parse_css_color)
+    const color_index = colors.findIndex(Boolean)
+    if (color_index < 0) {
+      if (i === 0) { // shape and interpolation method
+        interpolation = parse_css_interpolation(tokens)
+        continue
+      }
+      if (tokens.length !== 1) throw new Error(`Unsupported CSS color stop: ${arg}`)
+      items.push({ position: parse_css_number(tokens[0]) })
+      continue
+    }
+    const [color, alpha] = colors[color_index]
+    const rgba = new Vector4(color.r, color.g, color.b, alpha)
+    const positions = tokens.filter((_, k) => k !== color_index).map((k) => parse_css_number(k))
+    if (positions.length === 0) items.push({ color: rgba, position: null })
+    for (const position of positions) items.push({ color: rgba, position })
+  }
+  const stops = items.filter((x) => x.color)
+  if (stops.length === 0) throw new Error(`CSS gradient has no color stops: ${css}`)
+
+  // Fix up positions: ends default to 0 and 1, no position precedes an earlier one,
+  // and runs of missing positions are spread evenly.
+  stops[0].position ??= 0
+  stops[stops.length - 1].position ??= 1
+  let max = -Infinity
+  for (const item of items) {
+    if (item.position === null) continue
+    item.position = max = Math.max(item.position, max)
+  }
+  for (let i = 1; i < stops.length; ++i) {
+    if (stops[i].position !== null) continue
+    let j = i
+    while (stops[j].position === null) ++j
+    const p0 = stops[i - 1].position
+    const p1 = stops[j].position
+    for (let k = i; k < j; ++k) stops[k].position = p0 + (p1 - p0) * (k - i + 1) / (j - i + 1)
+  }
+
+  // Attach hints to the stop before them, relative to their segment.
+  const result = []
+  for (const [i, item] of items.entries()) {
+    if (item.color) {
+      result.push([item.position, item.color.clone()])
+      continue
+    }
+    const a = items[i - 1]
+    const b = items[i + 1]
+    if (!a?.color || !b?.color) throw new Error(`Misplaced CSS color hint: ${css}`)
+    const span = b.position - a.position
+    if (span <= 0) continue
+    result[result.length - 1].push((item.position - a.position) / span)
+  }
+  return { stops: result, ...(interpolation ?? { space: 'srgb', hue: 'shorter' }) }
+}
@@ -0,0 +1,309 @@
+import { TSL as $ } from 'three/webgpu'
+import { srgb_to_linear_srgb } from './colorspace.js'
+
+//
+// Scientific colormaps
+//  Viridis, magma, inferno, plasma: piecewise (4 x quintic) least-squares fits
+//  of the matplotlib 256-entry tables, max error under 2/255 per channel.
+//  Ref: https://bids.github.io/colormap/
+//  Cividis, turbo: quintic fits from d3-scale-chromatic.
+//  Ref: https://github.com/d3/d3-scale-chromatic
+//
+//  Coefficients are gamma-encoded sRGB, lowest order first, in the local
+//  coordinate of each segment.
+//
+
+const viridis_coefficients = [
+  [
+    [0.2665833, 0.002460661, 0.3305837],
+    [0.1073664, 0.3989951, 0.3653566],
+    [-0.2061109, -0.1360001, 0.003783624],
+    [0.1351556, 0.02137341, -0.3930598],
+    [-0.1491979, 0.1037804, 0.3417524],
+    [0.07713052, -0.06984914, -0.1034804]
+  ],
+  [
+    [0.23105, 0.3205445, 0.5457439],
+    [-0.1247852, 0.2884015, 0.04366288],
+    [-0.04669197, -0.1096684, 0.02253236],
+    [0.2527133, 0.1102591, -0.3068624],
+    [-0.3108564, -0.06887157, 0.4654446],
+    [0.1267044, 0.02587965, -0.2199106]
+  ],
+  [
+    [0.1283419, 0.5658054, 0.5513547],
+    [-0.07165802, 0.2162167, -0.05413996],
+    [0.009928743, 0.117338, -0.02319712],
+    [0.7111417, -0.2853484, -0.170282],
+    [-0.5059844, 0.2792937, 0.1080746],
+    [0.09112887, -0.1068119, -0.02508892]
+  ],
+  [
+    [0.3629696, 0.7866021, 0.3871522],
+    [0.537321, 0.1881521, -0.3595736],
+    [0.2162256, -0.06655458, 0.2909039],
+    [-0.1807991, -0.03172588, -1.274995],
+    [0.1406499, 0.03226316, 1.248311],
+    [-0.08401531, -0.003040015, -0.1426218]
+  ]
+]
+
+const magma_coefficients = [
+  [
+    [0.002277331, 0.001300936, 0.01004292],
+    [0.002275945, 0.01446154, 0.4873258],
+    [0.8581514, 0.6782638, -0.2569779],
+    [-1.436612, -1.040916, 1.429564],
+    [1.494861, 0.1189986, -1.727409],
+    [-0.6061082, 0.2996223, 0.5412124]
+  ],
+  [
+    [0.3156066, 0.07093616, 0.4851054],
+    [0.3917669, 0.13702, 0.1366416],
+    [-0.01930419, 0.1500339, -0.3306598],
+    [0.03092683, -0.3898402, 0.4750378],
+    [0.008598294, 0.3647124, -0.4335622],
+    [-0.01471683, -0.119109, 0.1439932]
+  ],
+  [
+    [0.7129087, 0.2139743, 0.4765295],
+    [0.4143136, 0.1496727, -0.1380221],
+    [-0.06688082, -0.05919958, 0.05983924],
+    [0.188548, 0.4431753, -0.7477683],
+    [-0.5526635, -0.1917311, 1.215449],
+    [0.2898214, -0.02570786, -0.4865644]
+  ],
+  [
+    [0.9854858, 0.5303658, 0.3798566],
+    [0.08685745, 0.4631377, 0.1957306],
+    [-0.307871, 0.06406405, 0.2388572],
+    [0.6221407, -0.209045, -0.0710854],
+    [-0.6638036, 0.2301716, 0.01485578],
+    [0.2652123, -0.08732389, -0.009121928]
+  ]
+]
+
+const inferno_coefficients = [
+  [
+    [0.001023217, 0.003865403, 0.01165929],
+    [0.05623133, -0.106574, 0.4609866],
+    [0.4299107, 1.713572, -0.02836114],
+    [0.1165106, -4.525403, 1.552801],
+    [-0.4398417, 4.457442, -2.884748],
+    [0.1757983, -1.480789, 1.317524]
+  ],
+  [
+    [0.3396058, 0.06159157, 0.4294608],
+    [0.4017273, 0.1449861, 0.02623086],
+    [-0.01310992, 0.04179612, -0.02262622],
+    [0.007906484, -0.1693443, -0.2845522],
+    [0.01674937, 0.1986151, 0.2857939],
+    [-0.01964275, -0.06360806, -0.1026523]
+  ],
+  [
+    [0.7335667, 0.2137936, 0.3311329],
+    [0.3504566, 0.2038681, -0.2339166],
+    [0.02774504, 0.1204956, -0.09488094],
+    [-0.2786251, 0.03848604, 0.1198736],
+    [0.2090634, -0.000480277, -0.184666],
+    [-0.06500433, -0.02397897, 0.1007456]
+  ],
+  [
+    [0.9771924, 0.5523983, 0.03875107],
+    [0.09066671, 0.4514656, -0.4415692],
+    [-0.2244072, 0.09363111, 3.261836],
+    [0.3176736, -0.1811884, -5.931263],
+    [-0.8014348, 0.3072251, 6.014407],
+    [0.6304975, -0.2270993, -2.296502]
+  ]
+]
+
+const plasma_coefficients = [
+  [
+    [0.05207682, 0.03005791, 0.5284869],
+    [0.7615015, -0.09167195, 0.3353768],
+    [-1.185016, 0.3086876, -0.543667],
+    [2.001295, -0.6332497, 1.003645],
+    [-1.679689, 0.4813172, -1.058954],
+    [0.5438935, -0.08293343, 0.3937136]
+  ],
+  [
+    [0.4936391, 0.01144481, 0.6581626],
+    [0.3668527, 0.1160298, -0.043457],
+    [-0.0191091, 0.6611003, -0.234001],
+    [-0.1269151, -1.226834, 0.0337785],
+    [0.1339452, 1.071155, 0.09545646],
+    [-0.05147298, -0.3552119, -0.03821576]
+  ],
+  [
+    [0.7968517, 0.2775759, 0.4722915],
+    [0.21806, 0.2927444, -0.2460946],
+    [0.05474981, -0.0593674, 0.1307455],
+    [-0.2724139, 0.1560858, -0.2668732],
+    [0.290972, -0.1280265, 0.2603659],
+    [-0.1156841, 0.04289435, -0.09667738]
+  ],
+  [
+    [0.9719058, 0.5821079, 0.2547298],
+    [0.1141196, 0.3371998, -0.2849577],
+    [-0.2094931, 0.07742249, 0.7337526],
+    [0.3329634, -0.05759151, -2.586404],
+    [-0.5106696, 0.06856053, 3.83061],
+    [0.2411582, -0.03189095, -1.811307]
+  ]
+]
+
+const cividis_coefficients = [
+  [
+    [-0.01780392, 0.1274118, 0.3185882],
+    [-0.1385882, 0.6695294, 1.734745],
+    [9.340118, 0.2071373, -9.73502],
+    [-25.10863, -0.5155294, 24.18525],
+    [27.54792, 0.6924706, -25.94094],
+    [-10.62969, -0.2641961, 9.70851]
+  ]
+]
+
+const turbo_coefficients = [
+  [
+    [0.1357255, 0.09141176, 0.1066667],
+    [4.597373, 2.185608, 12.59255],
+    [-42.32769, 4.805216, -60.10969],
+    [130.5887, -14.01945, 109.0745],
+    [-150.5666, 4.210863, -88.50659],
+    [58.13745, 2.774745, 26.81827]
+  ]
+]
+
+/**
+ * Evaluate a piecewise polynomial colormap and decode it to linear sRGB.
+ *
+ * `[0,1]` is split evenly into `segments.length` segments.
+ *
+ * @param {*} segments - Per segment, per power, `[r, g, b]` coefficients.
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ * @private
+ */
+const piecewise_polynomial_colormap = (segments, t) => {
+  const n = segments.length
+  const x = $.float(t).clamp(0, 1).mul(n)
+  const index = x.floor().min(n - 1)
+  const u = x.sub(index)
+  const coefficients = segments[0].map((_, i) => segments.slice(1).reduce(
+    (c, segment, s) => $.select(index.equal(s + 1), $.vec3(...segment[i]), c),
+    $.vec3(...segments[0][i])
+  ))
+  const srgb = coefficients.reduceRight((sum, c) => sum.mul(u).add(c), $.vec3(0))
+  return srgb_to_linear_srgb(srgb.clamp(0, 1))
+}
+
+/**
+ * Viridis colormap (matplotlib), perceptually uniform, dark blue to yellow.
+ *
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ *
+ * @example
+ * ```
+ * mat.colorNode = colormap_viridis(uv().x)
+ * ```
+ */
+export const colormap_viridis = $.Fn(([t]) => {
+  return piecewise_polynomial_colormap(viridis_coefficients, t)
+})
+
+/**
+ * Magma colormap (matplotlib), perceptually uniform, black to light yellow through purple.
+ *
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const colormap_magma = $.Fn(([t]) => {
+  return piecewise_polynomial_colormap(magma_coefficients, t)
+})
+
+/**
+ * Inferno colormap (matplotlib), perceptually uniform, black to pale yellow through red.
+ *
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const colormap_inferno = $.Fn(([t]) => {
+  return piecewise_polynomial_colormap(inferno_coefficients, t)
+})
+
+/**
+ * Plasma colormap (matplotlib), perceptually uniform, blue to yellow through magenta.
+ *
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const colormap_plasma = $.Fn(([t]) => {
+  return piecewise_polynomial_colormap(plasma_coefficients, t)
+})
+
+/**
+ * Cividis colormap (matplotlib), perceptually uniform and color-vision-deficiency friendly.
+ *
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const colormap_cividis = $.Fn(([t]) => {
+  return piecewise_polynomial_colormap(cividis_coefficients, t)
+})
+
+/**
+ * Turbo colormap (Google), a smooth rainbow. Not perceptually uniform in lightness.
+ *
+ * @param {*} t - Position (float), clamped to [0,1].
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const colormap_turbo = $.Fn(([t]) => {
+  return piecewise_polynomial_colormap(turbo_coefficients, t)
+})
+
+//
+// Cosine palettes
+//  Ref: https://iquilezles.org/articles/palettes/
+//
+
+/**
+ * Procedural cosine palette, `a + b * cos(2π * (c * t + d))`.
+ *
+ * Output is as authored; presets are designed as gamma-encoded sRGB,
+ * so wrap with `srgb_to_linear_srgb` to match the reference images.
+ *
+ * @param {*} t - Position (float).
+ * @param {*} a - Offset (vec3).
+ * @param {*} b - Amplitude (vec3).
+ * @param {*} c - Frequency (vec3).
+ * @param {*} d - Phase (vec3).
+ * @returns {*} Color (vec3).
+ *
+ * @example
+ * ```
+ * mat.colorNode = srgb_to_linear_srgb(cosine_palette(uv().x, ...cosine_palettes.rainbow))
+ * ```
+ */
+export const cosine_palette = $.Fn(([t, a, b, c, d]) => {
+  t = $.float(t)
+  a = $.vec3(a)
+  b = $.vec3(b)
+  c = $.vec3(c)
+  d = $.vec3(d)
+  return a.add(b.mul($.cos(c.mul(t).add(d).mul(2 * Math.PI))))
+})
+
+/**
+ * Cosine palette presets, as `[a, b, c, d]` for {@link cosine_palette}.
+ */
+export const cosine_palettes = {
+  rainbow: [$.vec3(0.5), $.vec3(0.5), $.vec3(1), $.vec3(0, 0.33, 0.67)],
+  sunset: [$.vec3(0.5), $.vec3(0.5), $.vec3(1), $.vec3(0, 0.1, 0.2)],
+  forest: [$.vec3(0.5), $.vec3(0.5), $.vec3(1), $.vec3(0.3, 0.2, 0.2)],
+  ocean: [$.vec3(0.5), $.vec3(0.5), $.vec3(1, 1, 0.5), $.vec3(0.8, 0.9, 0.3)],
+  fire: [$.vec3(0.5), $.vec3(0.5), $.vec3(1, 0.7, 0.4), $.vec3(0, 0.15, 0.2)],
+  candy: [$.vec3(0.5), $.vec3(0.5), $.vec3(2, 1, 0), $.vec3(0.5, 0.2, 0.25)],
+  earth: [$.vec3(0.8, 0.5, 0.4), $.vec3(0.2, 0.4, 0.2), $.vec3(2, 1, 1), $.vec3(0, 0.25, 0.25)]
+}
@@ -0,0 +1,361 @@
+import { TSL as $ } from 'three/webgpu'
+
+//
+// Conventions
+//  - Colors are vec3; "linear sRGB" is the three.js working color space.
+//  - Hues are in turns, [0,1), so hue math wraps with `fract()`.
+//
+
+//
+// Linear sRGB <-> sRGB (gamma-encoded)
+//
+
+/**
+ * Encode a linear sRGB color with the sRGB transfer function.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @returns {*} Gamma-encoded sRGB color (vec3).
+ */
+export const linear_srgb_to_srgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return $.sRGBTransferOETF(color)
+})
+
+/**
+ * Decode a gamma-encoded sRGB color to linear sRGB.
+ *
+ * @param {*} color - Gamma-encoded sRGB color (vec3).
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const srgb_to_linear_srgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return $.sRGBTransferEOTF(color)
+})
+
+//
+// Linear sRGB <-> OKLab <-> OKLCH
+//  Ref: https://bottosson.github.io/posts/oklab/
+//
+
+/**
+ * Convert a linear sRGB color to OKLab.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @returns {*} OKLab color (L, a, b).
+ */
+export const linear_srgb_to_oklab = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const lms = $.mat3(
+    0.4122214708, 0.5363325363, 0.0514459929,
+    0.2119034982, 0.6806995451, 0.1073969566,
+    0.0883024619, 0.2817188376, 0.6299787005
+  ).mul(color)
+  return $.mat3(
+    0.2104542553, 0.7936177850, -0.0040720468,
+    1.9779984951, -2.4285922050, 0.4505937099,
+    0.0259040371, 0.7827717662, -0.8086757660
+  ).mul($.cbrt(lms))
+})
+
+/**
+ * Convert an OKLab color to linear sRGB.
+ *
+ * @param {*} color - OKLab color (L, a, b).
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const oklab_to_linear_srgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const lms = $.mat3(
+    1, 0.3963377774, 0.2158037573,
+    1, -0.1055613458, -0.0638541728,
+    1, -0.0894841775, -1.2914855480
+  ).mul(color).pow3()
+  return $.mat3(
+    4.0767416621, -3.3077115913, 0.2309699292,
+    -1.2684380046, 2.6097574011, -0.3413193965,
+    -0.0041960863, -0.7034186147, 1.7076147010
+  ).mul(lms)
+})
+
+/**
+ * Convert an OKLab color to OKLCH.
+ *
+ * @param {*} color - OKLab color (L, a, b).
+ * @returns {*} OKLCH color (L, C, h), h in [0,1).
+ */
+export const oklab_to_oklch = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const h = $.atan(color.z, color.y).div(2 * Math.PI).fract()
+  return $.vec3(color.x, color.yz.length(), h)
+})
+
+/**
+ * Convert an OKLCH color to OKLab.
+ *
+ * @param {*} color - OKLCH color (L, C, h), h in turns.
+ * @returns {*} OKLab color (L, a, b).
+ */
+export const oklch_to_oklab = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const h = color.z.mul(2 * Math.PI)
+  return $.vec3(color.x, color.y.mul($.cos(h)), color.y.mul($.sin(h)))
+})
+
+/**
+ * Convert a linear sRGB color to OKLCH.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @returns {*} OKLCH color (L, C, h), h in [0,1).
+ */
+export const linear_srgb_to_oklch = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return oklab_to_oklch(linear_srgb_to_oklab(color))
+})
+
+/**
+ * Convert an OKLCH color to linear sRGB.
+ *
+ * @param {*} color - OKLCH color (L, C, h), h in turns.
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const oklch_to_linear_srgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return oklab_to_linear_srgb(oklch_to_oklab(color))
+})
+
+//
+// RGB <-> HSV / HSL
+//  Ref: https://web.archive.org/web/20200207113336/http://lolengine.net/blog/2013/07/27/rgb-to-hsv-in-glsl
+//
+//  These work on whatever RGB they are given. CSS and most color pickers
+//  use gamma-encoded sRGB, see `linear_srgb_to_srgb`.
+//
+
+/**
+ * Convert an RGB color to HSV.
+ *
+ * @param {*} color - RGB color (vec3).
+ * @returns {*} HSV color (h, s, v), h in [0,1).
+ */
+export const rgb_to_hsv = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const K = $.vec4(0, -1 / 3, 2 / 3, -1)
+  const p = $.mix($.vec4(color.bg, K.wz), $.vec4(color.gb, K.xy), $.step(color.b, color.g))
+  const q = $.mix($.vec4(p.xyw, color.r), $.vec4(color.r, p.yzx), $.step(p.x, color.r))
+  const d = q.x.sub($.min(q.w, q.y))
+  const e = 1e-10
+  const h = q.z.add(q.w.sub(q.y).div(d.mul(6).add(e))).abs().fract()
+  return $.vec3(h, d.div(q.x.add(e)), q.x)
+})
+
+/**
+ * Convert an HSV color to RGB.
+ *
+ * @param {*} color - HSV color (h, s, v), h in turns.
+ * @returns {*} RGB color (vec3).
+ */
+export const hsv_to_rgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const p = color.xxx.add($.vec3(1, 2 / 3, 1 / 3)).fract().mul(6).sub(3).abs()
+  return color.z.mul($.mix($.vec3(1), p.sub(1).clamp(0, 1), color.y))
+})
+
+/**
+ * Convert an RGB color to HSL.
+ *
+ * @param {*} color - RGB color (vec3).
+ * @returns {*} HSL color (h, s, l), h in [0,1).
+ */
+export const rgb_to_hsl = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const hsv = rgb_to_hsv(color)
+  const l = hsv.z.mul(hsv.y.mul(0.5).oneMinus())
+  const s = hsv.z.sub(l).div($.min(l, l.oneMinus()).max(1e-10))
+  return $.vec3(hsv.x, s, l)
+})
+
+/**
+ * Convert an HSL color to RGB.
+ *
+ * @param {*} color - HSL color (h, s, l), h in turns.
+ * @returns {*} RGB color (vec3).
+ */
+export const hsl_to_rgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const rgb = color.xxx.add($.vec3(1, 2 / 3, 1 / 3)).fract().mul(6).sub(3).abs().sub(1).clamp(0, 1)
+  const c = color.z.mul(2).sub(1).abs().oneMinus().mul(color.y)
+  return rgb.sub(0.5).mul(c).add(color.z)
+})
+
+//
+// RGB <-> YCoCg
+//  Ref: https://en.wikipedia.org/wiki/YCoCg
+//
+
+/**
+ * Convert an RGB color to YCoCg.
+ *
+ * @param {*} color - RGB color (vec3).
+ * @returns {*} YCoCg color (Y, Co, Cg).
+ */
+export const rgb_to_ycocg = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const y = color.r.add(color.g.mul(2)).add(color.b).mul(0.25)
+  const co = color.r.sub(color.b).mul(0.5)
+  const cg = color.g.mul(2).sub(color.r).sub(color.b).mul(0.25)
+  return $.vec3(y, co, cg)
+})
+
+/**
+ * Convert a YCoCg color to RGB.
+ *
+ * @param {*} color - YCoCg color (Y, Co, Cg).
+ * @returns {*} RGB color (vec3).
+ */
+export const ycocg_to_rgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const tmp = color.x.sub(color.z)
+  return $.vec3(tmp.add(color.y), color.x.add(color.z), tmp.sub(color.y))
+})
+
+//
+// Linear sRGB <-> CIE XYZ (D65)
+//
+
+/**
+ * Convert a linear sRGB color to CIE XYZ (D65 white point).
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @returns {*} CIE XYZ color (vec3).
+ */
+export const linear_srgb_to_xyz = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return $.mat3(
+    0.4124564, 0.3575761, 0.1804375,
+    0.2126729, 0.7151522, 0.0721750,
+    0.0193339, 0.1191920, 0.9503041
+  ).mul(color)
+})
+
+/**
+ * Convert a CIE XYZ color (D65 white point) to linear sRGB.
+ *
+ * @param {*} color - CIE XYZ color (vec3).
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const xyz_to_linear_srgb = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return $.mat3(
+    3.2404542, -1.5371385, -0.4985314,
+    -0.9692660, 1.8760108, 0.0415560,
+    0.0556434, -0.2040259, 1.0572252
+  ).mul(color)
+})
+
+//
+// Color temperature
+//  Ref: Kim et al., "Design of advanced color temperature control system for HDTV applications" (2002)
+//
+
+/**
+ * Convert a blackbody color temperature to a linear sRGB color.
+ *
+ * Uses a cubic fit of the Planckian locus, valid from 1667K to 25000K
+ * (input is clamped). Out-of-gamut channels are clipped to 0, and the
+ * result is normalized so its largest channel is 1.
+ *
+ * @param {*} kelvin - Color temperature in Kelvin (float).
+ * @returns {*} Linear sRGB color (vec3).
+ *
+ * @example
+ * ```
+ * light.colorNode = kelvin_to_linear_srgb(uniform(6500))
+ * ```
+ */
+export const kelvin_to_linear_srgb = $.Fn(([kelvin]) => {
+  const t = $.float(kelvin).clamp(1667, 25000)
+  const k = t.reciprocal()
+  const k2 = k.mul(k)
+  const k3 = k2.mul(k)
+  const x = $.select(
+    t.lessThan(4000),
+    k3.mul(-0.2661239e9).sub(k2.mul(0.2343589e6)).add(k.mul(0.8776956e3)).add(0.179910),
+    k3.mul(-3.0258469e9).add(k2.mul(2.1070379e6)).add(k.mul(0.2226347e3)).add(0.240390)
+  )
+  const x2 = x.mul(x)
+  const x3 = x2.mul(x)
+  const y = $.select(
+    t.lessThan(2222),
+    x3.mul(-1.1063814).sub(x2.mul(1.34811020)).add(x.mul(2.18555832)).sub(0.20219683),
+    $.select(
+      t.lessThan(4000),
+      x3.mul(-0.9549476).sub(x2.mul(1.37418593)).add(x.mul(2.09137015)).sub(0.16748867),
+      x3.mul(3.0817580).sub(x2.mul(5.87338670)).add(x.mul(3.75112997)).sub(0.37001483)
+    )
+  )
+  const xyz = $.vec3(x.div(y), 1, x.oneMinus().sub(y).div(y))
+  const rgb = xyz_to_linear_srgb(xyz).max(0)
+  return rgb.div($.max(rgb.r, $.max(rgb.g, rgb.b)))
+})
+
+//
+// Luminance
+//
+
+/**
+ * Relative luminance (CIE Y) of a linear sRGB color, using Rec. 709 weights.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @returns {*} Relative luminance (float).
+ */
+export const relative_luminance = $.Fn(([color]) => {
+  color = $.vec3(color)
+  return color.dot($.vec3(0.2126729, 0.7151522, 0.0721750))
+})
+
+/**
+ * Perceptual lightness (CIE L*) of a linear sRGB color, in [0,1] for [black, white].
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @returns {*} Lightness (float).
+ */
+export const perceptual_lightness = $.Fn(([color]) => {
+  color = $.vec3(color)
+  const y = relative_luminance(color)
+  const l = $.select(
+    y.lessThanEqual(216 / 24389),
+    y.mul(24389 / 27),
+    $.cbrt(y).mul(116).sub(16)
+  )
+  return l.div(100)
+})
+
+//
+// Grading
+//
+
+/**
+ * Rotate the hue of a linear sRGB color in OKLCH, keeping lightness and chroma.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @param {*} turns - Hue shift in turns (1 = full rotation), wraps around.
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const hue_shift = $.Fn(([color, turns]) => {
+  color = $.vec3(color)
+  const lch = linear_srgb_to_oklch(color)
+  return oklch_to_linear_srgb($.vec3(lch.xy, lch.z.add(turns).fract()))
+})
+
+/**
+ * Scale the chroma (saturation) of a linear sRGB color in OKLCH, keeping lightness and hue.
+ *
+ * @param {*} color - Linear sRGB color (vec3).
+ * @param {*} factor - Chroma multiplier; 0 gives gray of equal lightness.
+ * @returns {*} Linear sRGB color (vec3).
+ */
+export const chroma_scale = $.Fn(([color, factor]) => {
+  color = $.vec3(color)
+  const lch = linear_srgb_to_oklch(color)
+  return oklch_to_linear_srgb($.vec3(lch.x, lch.y.mul(factor).max(0), lch.z))
+})
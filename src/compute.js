@@ -1,10 +1,169 @@
-import { TSL as $ } from 'three/webgpu'
+import { TSL as $, StorageTextureNode, Vector2, Vector3 } from 'three/webgpu'
+
+//
+// Compute kernels
+//  Kernels that fill storage textures with `f` evaluated per texel.
+//  - `sampling` sets the coordinates passed to `f`: `'edge'` maps the first
+//    and last texel centers to 0 and 1, `'center'` maps texel centers to
+//    `(index + 0.5) / size` so a repeating texture has no duplicated edge,
+//    and `'texel'` passes the integer texel index (uvecN).
+//  - `level` selects the mip level to write; the texture needs
+//    `generateMipmaps = true` to have levels beyond 0, and
+//    `mipmapsAutoUpdate = false` to keep three from overwriting them.
+//  - Cube maps are written as the six layers of a `StorageArrayTexture`,
+//    since WebGPU has no cube storage textures.
+//  - 2D and 3D kernels write a region (`offset`, `size` in texels) held in
+//    uniforms, so one compiled kernel can be re-dispatched on other regions
+//    with `set_kernel_region`, e.g. dirty rectangles or the `tile_regions`
+//    of a texture too large for one dispatch. UVs stay relative to the whole
+//    texture, so a region writes the same values as a full dispatch.
+//  - `ping_pong_simulation2d` runs a kernel that reads its previous output,
+//    for simulations stepped over frames.
+//
+
+/**
+ * A storage texture bound at a single mip level. Texture nodes share one
+ * binding per texture; keying the binding by access and level as well lets a
+ * kernel read one level of a texture while writing another.
+ *
+ * @private
+ */
+class MipStorageTextureNode extends StorageTextureNode {
+  getUniformHash() {
+    return `${this.value.uuid}:${this.access}:${this.mipLevel}`
+  }
+}
+
+/**
+ * Write-only storage node of `tex` at mip `level`.
+ *
+ * @private
+ */
+const storage_level = (tex, level) => new MipStorageTextureNode(tex).toWriteOnly().setMipLevel(level)
+
+/**
+ * Size of a texture dimension at mip `level`.
+ *
+ * @private
+ */
+const mip_size = (size, level) => Math.max(1, size >> level)
+
+/**
+ * Coordinates passed to `f` for a texel index, for a sampling convention.
+ *
+ * @private
+ */
+const sampling_map = (sampling, extent) => {
+  const vec = [$.vec2, $.vec3][extent.length - 2]
+  if (sampling === 'edge') return (index) => vec(index).div(vec(...extent).sub(1).max(1))
+  if (sampling === 'center') return (index) => vec(index).add(0.5).div(vec(...extent))
+  if (sampling === 'texel') return (index) => index
+  throw new Error(`Unknown sampling convention: ${sampling}`)
+}
+
+/**
+ * Workgroup counts covering `size` texels with a grid workgroup layout.
+ *
+ * @private
+ */
+const grid_dispatch = (size, workgroup_size) => [0, 1, 2].map((i) => Math.ceil((size[i] ?? 1) / (workgroup_size[i] ?? 1)))
+
+/**
+ * Build a kernel that calls `store(index)` for every texel index (uvec2 or
+ * uvec3) of a region of `extent`, with its offset and size as uniforms.
+ *
+ * A one-element workgroup size walks the region linearly with `instanceIndex`;
+ * one with an element per dimension lays workgroups out as a grid over `globalId`.
+ *
+ * @private
+ */
+const region_kernel = (extent, store, { offset, size, workgroup_size }) => {
+  const dims = extent.length
+  if (workgroup_size.length !== 1 && workgroup_size.length !== dims) {
+    throw new Error(`Workgroup size must have 1 or ${dims} elements`)
+  }
+  const [Vector, type] = dims === 2 ? [Vector2, 'uvec2'] : [Vector3, 'uvec3']
+  size = size ?? extent
+  const region = {
+    offset: $.uniform(new Vector(...offset), type),
+    size: $.uniform(new Vector(...size), type)
+  }
+  const linear = workgroup_size.length === 1
+  const kernel = $.Fn(() => {
+    let local
+    if (linear) {
+      const { x, y } = region.size
+      local = dims === 2
+        ? $.uvec2($.instanceIndex.mod(x), $.instanceIndex.div(x))
+        : $.uvec3($.instanceIndex.mod(x), $.instanceIndex.div(x).mod(y), $.instanceIndex.div(x.mul(y)))
+    } else {
+      local = dims === 2 ? $.globalId.xy : $.globalId
+      $.If($.any(local.greaterThanEqual(region.size)), () => {
+        $.Return()
+      })
+    }
+    store(region.offset.add(local))
+  })().compute(linear ? size.reduce((a, b) => a * b) : grid_dispatch(size, workgroup_size), [...workgroup_size])
+  kernel.region = region
+  return kernel
+}
+
+/**
+ * Move a 2D or 3D write kernel to another region, for the next dispatch.
+ *
+ * @param {*} kernel - A kernel from `write_texture2d_kernel` or `write_texture3d_kernel`.
+ * @param {number[]} offset - First texel of the region.
+ * @param {number[]} size - Size of the region in texels.
+ *
+ * @example
+ * ```
+ * // Repaint a 64x64 brush stroke.
+ * set_kernel_region(kernel, [256, 128], [64, 64])
+ * renderer.compute(kernel)
+ * ```
+ */
+export const set_kernel_region = (kernel, offset, size) => {
+  kernel.region.offset.value.set(...offset)
+  kernel.region.size.value.set(...size)
+  if (kernel.dispatchSize) kernel.dispatchSize = grid_dispatch(size, kernel.workgroupSize)
+  else kernel.count = size.reduce((a, b) => a * b)
+}
+
+/**
+ * Split an extent into tiles, clipped at its far edges.
+ *
+ * @param {number[]} extent - Size to split, e.g. `[tex.width, tex.height]`.
+ * @param {number|number[]} tile - Tile size, the same for every dimension or one per dimension.
+ * @returns {Array} Regions as `{ offset, size }`, see {@link set_kernel_region}.
+ *
+ * @example
+ * ```
+ * const kernel = write_texture2d_kernel(tex, f, { workgroup_size: [8, 8] })
+ * for (const { offset, size } of tile_regions([tex.width, tex.height], 2048)) {
+ *   set_kernel_region(kernel, offset, size)
+ *   renderer.compute(kernel)
+ * }
+ * ```
+ */
+export const tile_regions = (extent, tile) => extent.reduce((regions, length, i) => {
+  const step = Array.isArray(tile) ? tile[i] : tile
+  return regions.flatMap(({ offset, size }) => Array.from({ length: Math.ceil(length / step) }, (_, j) => ({
+    offset: [...offset, j * step],
+    size: [...size, Math.min(step, length - j * step)]
+  })))
+}, [{ offset: [], size: [] }])
 
 /**
  * Create a compute kernel that writes values into a 2D storage texture.
  *
  * @param {*} tex - The 2D storage texture to write values into.
  * @param {*} f - A function mapping normalized UV coordinates to the value to be written.
+ * @param {Object} [options]
+ * @param {string} [options.sampling='edge'] - Coordinates passed to `f`: `'edge'`, `'center'` or `'texel'`.
+ * @param {number} [options.level=0] - Mip level to write.
+ * @param {number[]} [options.offset=[0, 0]] - First texel of the region to write.
+ * @param {number[]} [options.size] - Size of the region in texels; the whole level by default.
+ * @param {number[]} [options.workgroup_size=[64]] - `[n]` for a linear layout, `[x, y]` for a 2D grid.
  * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
  *
  * @example
@@ -16,17 +175,14 @@ import { TSL as $ } from 'three/webgpu'
  * renderer.compute(kernel)
  * ```
  */
-export const write_texture2d_kernel = (tex, f) => {
-  const bounds = $.vec2(tex.width, tex.height).sub(1).max(1)
-  const kernel = $.Fn(() => {
-    const index2d = $.vec2(
-      $.instanceIndex.mod(tex.width),
-      $.instanceIndex.div(tex.width)
-    )
-    const uv01 = index2d.div(bounds)
-    const value = f(uv01)
-    $.textureStore(tex, $.uvec2(index2d), value)
-  })().compute(tex.width * tex.height)
+export const write_texture2d_kernel = (tex, f, { sampling = 'edge', level = 0, offset = [0, 0], size = null, workgroup_size = [64] } = {}) => {
+  const width = mip_size(tex.width, level)
+  const height = mip_size(tex.height, level)
+  const to_uv = sampling_map(sampling, [width, height])
+  const kernel = region_kernel([width, height], (index2d) => {
+    const value = f(to_uv(index2d))
+    $.textureStore(storage_level(tex, level), index2d, value)
+  }, { offset, size, workgroup_size })
   return kernel
 }
 
@@ -35,6 +191,12 @@ export const write_texture2d_kernel = (tex, f) => {
  *
  * @param {*} tex - The 3D storage texture to write values into.
  * @param {*} f - A function mapping normalized UVW coordinates to the value to be written.
+ * @param {Object} [options]
+ * @param {string} [options.sampling='edge'] - Coordinates passed to `f`: `'edge'`, `'center'` or `'texel'`.
+ * @param {number} [options.level=0] - Mip level to write.
+ * @param {number[]} [options.offset=[0, 0, 0]] - First texel of the region to write.
+ * @param {number[]} [options.size] - Size of the region in texels; the whole level by default.
+ * @param {number[]} [options.workgroup_size=[64]] - `[n]` for a linear layout, `[x, y, z]` for a 3D grid.
  * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
  *
  * @example
@@ -46,17 +208,340 @@ export const write_texture2d_kernel = (tex, f) => {
  * renderer.compute(kernel)
  * ```
  */
-export const write_texture3d_kernel = (tex, f) => {
-  const bounds = $.vec3(tex.width, tex.height, tex.depth).sub(1).max(1)
+export const write_texture3d_kernel = (tex, f, { sampling = 'edge', level = 0, offset = [0, 0, 0], size = null, workgroup_size = [64] } = {}) => {
+  const width = mip_size(tex.width, level)
+  const height = mip_size(tex.height, level)
+  const depth = mip_size(tex.depth, level)
+  const to_uvw = sampling_map(sampling, [width, height, depth])
+  const kernel = region_kernel([width, height, depth], (index3d) => {
+    const value = f(to_uvw(index3d))
+    $.textureStore(storage_level(tex, level), index3d, value)
+  }, { offset, size, workgroup_size })
+  return kernel
+}
+
+/**
+ * Create a compute kernel that writes values into the layers of a 2D array storage texture.
+ *
+ * @param {*} tex - The 2D array storage texture (`THREE.StorageArrayTexture`) to write values into.
+ * @param {*} f - A function mapping normalized UV coordinates and the layer index (int) to the value to be written.
+ * @param {Object} [options]
+ * @param {string} [options.sampling='edge'] - Coordinates passed to `f`: `'edge'`, `'center'` or `'texel'`.
+ * @param {number} [options.level=0] - Mip level to write.
+ * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
+ *
+ * @example
+ * ```
+ * const tex = new THREE.StorageArrayTexture(256, 256, 4)
+ * const kernel = write_texture2d_array_kernel(tex, (uv, layer) => mx_noise_float(vec3(uv.mul(8), layer)))
+ * renderer.compute(kernel)
+ * ```
+ */
+export const write_texture2d_array_kernel = (tex, f, { sampling = 'edge', level = 0 } = {}) => {
+  const width = mip_size(tex.width, level)
+  const height = mip_size(tex.height, level)
+  const to_uv = sampling_map(sampling, [width, height])
   const kernel = $.Fn(() => {
-    const index3d = $.vec3(
-      $.instanceIndex.mod(tex.width),
-      $.instanceIndex.div(tex.width).mod(tex.height),
-      $.instanceIndex.div(tex.width * tex.height)
+    const index2d = $.uvec2(
+      $.instanceIndex.mod(width),
+      $.instanceIndex.div(width).mod(height)
     )
-    const uvw01 = index3d.div(bounds)
-    const value = f(uvw01)
-    $.textureStore(tex, $.uvec3(index3d), value)
-  })().compute(tex.width * tex.height * tex.depth)
+    const layer = $.int($.instanceIndex.div(width * height))
+    const value = f(to_uv(index2d), layer)
+    $.textureStore(storage_level(tex, level).depth(layer), index2d, value)
+  })().compute(width * height * tex.depth)
   return kernel
 }
+
+/**
+ * Direction through a point on a cube map face.
+ *
+ * Faces are ordered +x, -x, +y, -y, +z, -z with the WebGPU cube layout: the
+ * first texel row of each face is at v = 0. Note that `cubeTexture()` mirrors
+ * x when sampling cube textures that are not render targets. The inverse is
+ * {@link cube_direction_to_face_uv}.
+ *
+ * @param {*} uv - Coordinate on the face (vec2) in [0,1].
+ * @param {*} face - Face index (int) in [0,5].
+ * @returns {*} Direction (vec3), normalized.
+ */
+export const cube_face_direction = $.Fn(([uv, face]) => {
+  const st = $.vec2(uv).mul(2).sub(1)
+  const s = st.x
+  const t = st.y
+  face = $.int(face)
+  const directions = [
+    $.vec3(1, t.negate(), s.negate()),
+    $.vec3(-1, t.negate(), s),
+    $.vec3(s, 1, t),
+    $.vec3(s, -1, t.negate()),
+    $.vec3(s, t.negate(), 1),
+    $.vec3(s.negate(), t.negate(), -1)
+  ]
+  return directions
+    .reduceRight((d, direction, i) => $.select(face.equal($.int(i)), direction, d))
+    .normalize()
+})
+
+/**
+ * Face and face coordinate hit by a direction, the inverse of {@link cube_face_direction}.
+ *
+ * @param {*} direction - Direction (vec3), not necessarily normalized.
+ * @returns {*} vec3, with xy = coordinate on the face in [0,1], z = face index in [0,5].
+ */
+export const cube_direction_to_face_uv = $.Fn(([direction]) => {
+  const d = $.vec3(direction)
+  const a = d.abs()
+  const is_x = a.x.greaterThanEqual(a.y).and(a.x.greaterThanEqual(a.z))
+  const is_y = is_x.not().and(a.y.greaterThanEqual(a.z))
+  // Face coordinates in [-1,1] times the major axis length, and that length.
+  const x = $.vec3(d.z.mul(d.x.sign()).negate(), d.y.negate(), a.x)
+  const y = $.vec3(d.x, d.z.mul(d.y.sign()), a.y)
+  const z = $.vec3(d.x.mul(d.z.sign()), d.y.negate(), a.z)
+  const st = $.select(is_x, x, $.select(is_y, y, z))
+  const axis = $.select(is_x, $.float(0), $.select(is_y, $.float(2), $.float(4)))
+  const major = $.select(is_x, d.x, $.select(is_y, d.y, d.z))
+  const face = axis.add($.select(major.lessThan(0), $.float(1), $.float(0)))
+  return $.vec3(st.xy.div(st.z).mul(0.5).add(0.5), face)
+})
+
+/**
+ * Sample a cube map written by {@link write_cube_texture_kernel} by direction.
+ *
+ * Filtering does not cross face edges, so texels on them are clamped rather
+ * than blended with the neighboring face.
+ *
+ * @param {*} tex - The 2D array texture holding the six faces.
+ * @param {*} direction - Direction (vec3).
+ * @returns {*} Sampled value (vec4).
+ *
+ * @example
+ * ```
+ * scene.backgroundNode = cube_array_texture(sky_tex, positionWorldDirection)
+ * mat.envNode = cube_array_texture(sky_tex, reflectVector)
+ * ```
+ */
+export const cube_array_texture = (tex, direction) => {
+  const face_uv = cube_direction_to_face_uv(direction)
+  return $.texture(tex, face_uv.xy).depth($.int(face_uv.z))
+}
+
+/**
+ * Create a compute kernel that writes values into the six faces of a cube map.
+ *
+ * Faces are the layers of a 2D array storage texture, see {@link cube_face_direction};
+ * three cannot bind it as a cube texture, so sample it with {@link cube_array_texture}.
+ * Directions pass through texel centers, so texels on face edges do not repeat
+ * across faces.
+ *
+ * @param {*} tex - The 2D array storage texture with square layers and a depth of 6.
+ * @param {*} f - A function mapping the direction (vec3) through the texel to the value to be written.
+ * @param {Object} [options]
+ * @param {number} [options.level=0] - Mip level to write.
+ * @returns {*} The compute kernel. Call `renderer.compute(kernel)` to dispatch.
+ *
+ * @example
+ * ```
+ * const tex = new THREE.StorageArrayTexture(512, 512, 6)
+ * tex.type = THREE.HalfFloatType
+ * const sky = (dir) => mix(color(0xffffff), color(0x3070ff), dir.y.max(0))
+ * renderer.compute(write_cube_texture_kernel(tex, sky))
+ * scene.backgroundNode = cube_array_texture(tex, positionWorldDirection)
+ * ```
+ */
+export const write_cube_texture_kernel = (tex, f, { level = 0 } = {}) => {
+  if (tex.width !== tex.height || tex.depth !== 6) {
+    throw new Error('Cube textures need square layers and a depth of 6')
+  }
+  const size = mip_size(tex.width, level)
+  const kernel = $.Fn(() => {
+    const index2d = $.vec2(
+      $.instanceIndex.mod(size),
+      $.instanceIndex.div(size).mod(size)
+    )
+    const face = $.int($.instanceIndex.div(size * size))
+    const direction = cube_face_direction(index2d.add(0.5).div(size), face)
+    const value = f(direction)
+    $.textureStore(storage_level(tex, level).depth(face), $.uvec2(index2d), value)
+  })().compute(size * size * 6)
+  return kernel
+}
+
+/**
+ * Modified Bessel function of the first kind, order 0.
+ *
+ * @private
+ */
+const bessel_i0 = (x) => {
+  let sum = 1
+  let term = 1
+  for (let k = 1; k < 32; k++) {
+    term *= (x / (2 * k)) ** 2
+    sum += term
+  }
+  return sum
+}
+
+/**
+ * Normalized 1D weights for halving a texture, as `[offset, weight]` pairs
+ * where destination texel `i` reads source texel `2 * i + offset`.
+ *
+ * @private
+ */
+const downsample_weights = (filter, radius, alpha) => {
+  let taps
+  if (filter === 'box') {
+    taps = [[0, 1], [1, 1]]
+  } else if (filter === 'kaiser') {
+    // Taps are centered between the two source texels under the destination texel.
+    taps = Array.from({ length: 2 * radius }, (_, i) => {
+      const x = i - radius + 0.5
+      const sinc = Math.sin(Math.PI * x / 2) / (Math.PI * x / 2)
+      const window = bessel_i0(alpha * Math.sqrt(1 - (x / radius) ** 2)) / bessel_i0(alpha)
+      return [i - radius + 1, sinc * window]
+    })
+  } else {
+    throw new Error(`Unknown mip filter: ${filter}`)
+  }
+  const total = taps.reduce((sum, [, w]) => sum + w, 0)
+  return taps.map(([offset, w]) => [offset, w / total])
+}
+
+/**
+ * Create compute kernels that generate the mip chain of a 2D or 2D array
+ * storage texture from its level 0.
+ *
+ * Each level is downsampled from the previous one with a separable filter;
+ * reads past the edges clamp. `'box'` averages 2x2 texels; `'kaiser'` is a
+ * Kaiser-windowed sinc, sharper and with less aliasing, but may ring on hard
+ * edges. Cube maps written with {@link write_cube_texture_kernel} filter per face.
+ *
+ * @param {*} tex - The storage texture, with `generateMipmaps = true` and `mipmapsAutoUpdate = false`.
+ * @param {Object} [options]
+ * @param {string} [options.filter='box'] - `'box'` or `'kaiser'`.
+ * @param {number} [options.radius=3] - Kaiser filter radius in source texels.
+ * @param {number} [options.alpha=4] - Kaiser window shape; higher values smooth more.
+ * @returns {Array} The compute kernels, one per level from 1, to dispatch in order.
+ *
+ * @example
+ * ```
+ * tex.generateMipmaps = true
+ * tex.mipmapsAutoUpdate = false
+ * renderer.compute(write_texture2d_kernel(tex, f))
+ * for (const kernel of mip_chain_kernels(tex, { filter: 'kaiser' })) renderer.compute(kernel)
+ * ```
+ */
+export const mip_chain_kernels = (tex, { filter = 'box', radius = 3, alpha = 4 } = {}) => {
+  const weights = downsample_weights(filter, radius, alpha)
+  const layers = tex.isArrayTexture ? tex.depth : 1
+  const levels = Math.floor(Math.log2(Math.max(tex.width, tex.height))) + 1
+  return Array.from({ length: levels - 1 }, (_, i) => {
+    const level = i + 1
+    const width = mip_size(tex.width, level)
+    const height = mip_size(tex.height, level)
+    const max = $.ivec2(mip_size(tex.width, level - 1) - 1, mip_size(tex.height, level - 1) - 1)
+    const source = new MipStorageTextureNode(tex).toReadOnly().setMipLevel(level - 1)
+    return $.Fn(() => {
+      const index2d = $.ivec2(
+        $.instanceIndex.mod(width),
+        $.instanceIndex.div(width).mod(height)
+      )
+      const layer = $.int($.instanceIndex.div(width * height))
+      const origin = index2d.mul(2)
+      const load = (x, y) => {
+        const texel = source.load(origin.add($.ivec2(x, y)).clamp($.ivec2(0), max))
+        return tex.isArrayTexture ? texel.depth(layer) : texel
+      }
+      let value = $.vec4(0)
+      for (const [y, wy] of weights) {
+        for (const [x, wx] of weights) value = value.add(load(x, y).mul(wx * wy))
+      }
+      const target = storage_level(tex, level)
+      $.textureStore(tex.isArrayTexture ? target.depth(layer) : target, $.uvec2(index2d), value)
+    })().compute(width * height * layers)
+  })
+}
+
+/**
+ * Wrap or clamp texel coordinates (ivec2) into `[0, size)`.
+ *
+ * @private
+ */
+const wrap_modes = {
+  repeat: (c, size) => c.mod(size).add(size).mod(size),
+  clamp: (c, size) => c.clamp($.ivec2(0), size.sub(1))
+}
+
+/**
+ * Create a double-buffered simulation over two 2D storage textures: each
+ * step writes `f` into one texture while `f` reads the previous state from
+ * the other, then swaps them.
+ *
+ * `f(uv, read)` gets the coordinates of its texel (see `sampling`) and a
+ * function `read(dx = 0, dy = 0)` returning the previous state (vec4) of the
+ * texel offset by `(dx, dy)` (ints or int nodes), with edges handled by `wrap`.
+ * Write the initial state into `textures[0]` first, e.g. with {@link write_texture2d_kernel}.
+ *
+ * @param {Array} textures - Two 2D storage textures of the same size and format.
+ * @param {*} f - A function mapping coordinates and the state reader to the next state (vec4).
+ * @param {Object} [options]
+ * @param {string} [options.wrap='repeat'] - Edge handling of reads: `'repeat'` or `'clamp'`.
+ * @param {number} [options.iterations=1] - Steps per `step()` call.
+ * @param {string} [options.sampling='edge'] - Coordinates passed to `f`: `'edge'`, `'center'` or `'texel'`.
+ * @param {number[]} [options.workgroup_size=[64]] - `[n]` for a linear layout, `[x, y]` for a 2D grid.
+ * @returns {Object} The simulation:
+ *   - `step(renderer)` dispatches `iterations` steps, swapping after each.
+ *   - `texture` is the texture holding the current state.
+ *   - `output` is a texture node that follows the current state, for materials.
+ *   - `kernels` are the two kernels, writing `textures[1]` and `textures[0]`.
+ *
+ * @example
+ * ```
+ * // Conway's Game of Life
+ * const life = ping_pong_simulation2d([tex_a, tex_b], (uv, read) => {
+ *   let neighbors = float(0)
+ *   for (const [dx, dy] of [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]]) {
+ *     neighbors = neighbors.add(read(dx, dy).r)
+ *   }
+ *   const alive = neighbors.equal(3).or(neighbors.equal(2).and(read().r.equal(1)))
+ *   return vec4(vec3(select(alive, 1, 0)), 1)
+ * })
+ * mat.colorNode = life.output
+ * renderer.setAnimationLoop(() => {
+ *   life.step(renderer)
+ *   renderer.render(scene, camera)
+ * })
+ * ```
+ */
+export const ping_pong_simulation2d = (textures, f, { wrap = 'repeat', iterations = 1, sampling = 'edge', workgroup_size = [64] } = {}) => {
+  const [a, b] = textures
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error('Ping-pong textures must have the same size')
+  }
+  const wrap_texel = wrap_modes[wrap]
+  if (!wrap_texel) throw new Error(`Unknown wrap mode: ${wrap}`)
+  const size = $.ivec2(a.width, a.height)
+  const to_uv = sampling_map(sampling, [a.width, a.height])
+  const step_kernel = (source, target) => region_kernel([a.width, a.height], (index2d) => {
+    const texel = $.ivec2(index2d)
+    const read = (dx = 0, dy = 0) => $.textureLoad(source, wrap_texel(texel.add($.ivec2(dx, dy)), size))
+    $.textureStore(storage_level(target, 0), index2d, f(to_uv(index2d), read))
+  }, { offset: [0, 0], size: null, workgroup_size })
+  const kernels = [step_kernel(a, b), step_kernel(b, a)]
+  const output = $.texture(a)
+  let current = 0
+  return {
+    kernels,
+    output,
+    get texture() {
+      return textures[current]
+    },
+    step(renderer) {
+      for (let i = 0; i < iterations; i++) {
+        renderer.compute(kernels[current])
+        current = 1 - current
+      }
+      output.value = textures[current]
+    }
+  }
+}
@@ -0,0 +1,278 @@
+//
+// CPU twins of ../hash.js
+//  Plain JS, bit-exact with the GPU: 32-bit arithmetic via `Math.imul` and
+//  `| 0`, float keys bit cast through a `Float32Array`, float outputs rounded
+//  through `Math.fround` as the GPU does for `u32 -> f32`.
+//  - Keys are a number (1 key) or an array of numbers (N keys); a number
+//    passed where N keys are expected is splatted, like `vecN(k)`.
+//  - Outputs are a number (1 output) or an array of numbers.
+//
+
+const f32 = new Float32Array(1)
+const f32_bits = new Uint32Array(f32.buffer)
+
+/**
+ * Bit pattern of a number rounded to f32, as `floatBitsToUint`.
+ *
+ * @private
+ */
+const float_bits = (x) => {
+  f32[0] = x
+  return f32_bits[0]
+}
+
+const rot = (x, k) => (x << k) | (x >>> (32 - k))
+
+const jenkins_mix = (a, b, c) => {
+  a = (a - c) | 0; a ^= rot(c, 4); c = (c + b) | 0
+  b = (b - a) | 0; b ^= rot(a, 6); a = (a + c) | 0
+  c = (c - b) | 0; c ^= rot(b, 8); b = (b + a) | 0
+  a = (a - c) | 0; a ^= rot(c, 16); c = (c + b) | 0
+  b = (b - a) | 0; b ^= rot(a, 19); a = (a + c) | 0
+  c = (c - b) | 0; c ^= rot(b, 4); b = (b + a) | 0
+  return [a, b, c]
+}
+
+const jenkins_final = (a, b, c) => {
+  c ^= b; c = (c - rot(b, 14)) | 0
+  a ^= c; a = (a - rot(c, 11)) | 0
+  b ^= a; b = (b - rot(a, 25)) | 0
+  c ^= b; c = (c - rot(b, 16)) | 0
+  a ^= c; a = (a - rot(c, 4)) | 0
+  b ^= a; b = (b - rot(a, 14)) | 0
+  c ^= b; c = (c - rot(b, 24)) | 0
+  return [a >>> 0, b >>> 0, c >>> 0]
+}
+
+/**
+ * Jenkins fold of 1 to 4 keys, as `jenkins_fold1..4`.
+ *
+ * @private
+ */
+const jenkins_fold = (keys, seed) => {
+  const [kx, ky, kz, kw] = keys
+  const init = (0xdead_beef + (keys.length << 2) + 13 + seed) | 0
+  if (keys.length === 1) return jenkins_final((init + kx) | 0, init, init)
+  if (keys.length === 2) return jenkins_final((init + kx) | 0, (init + ky) | 0, init)
+  if (keys.length === 3) return jenkins_final((init + kx) | 0, (init + ky) | 0, (init + kz) | 0)
+  // As on the GPU, kz goes to `a` and kw is added after one mix.
+  const [a, b, c] = jenkins_mix((init + kx + kz) | 0, (init + ky) | 0, init)
+  return jenkins_final((a + kw) | 0, b, c)
+}
+
+/**
+ * Up to 4 uint hashes of the same keys, as `jenkins_streams`.
+ *
+ * @private
+ */
+const jenkins_streams = (keys, seed, count) => {
+  const h0 = jenkins_fold(keys, seed >>> 0)
+  if (count <= 2) return [h0[2], h0[1]].slice(0, count)
+  const h1 = jenkins_fold(keys, (seed + 1) >>> 0)
+  return [h0[2], h0[1], h1[2], h1[1]].slice(0, count)
+}
+
+const components = (k, n) => (Array.isArray(k) ? k.slice(0, n) : Array(n).fill(k))
+const float_keys = (k, n) => components(k, n).map(float_bits)
+const uint_keys = (k, n) => components(k, n).map((x) => x >>> 0)
+const pack = (values) => (values.length === 1 ? values[0] : values)
+
+// `0xffffffff` and `2^32` are the same f32, so both divisions are exact.
+const jenkins_unit = (h) => Math.fround(h) / 2 ** 32
+const unit = (h) => {
+  const x = Math.fround(h) / 2 ** 32
+  return x - Math.floor(x)
+}
+
+//
+// Jenkins Hashs, [0,1]
+//
+
+export const jenkins_hash11 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 1), seed, 1).map(jenkins_unit))
+export const jenkins_hash12 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 2), seed, 1).map(jenkins_unit))
+export const jenkins_hash13 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 3), seed, 1).map(jenkins_unit))
+export const jenkins_hash14 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 4), seed, 1).map(jenkins_unit))
+export const jenkins_hash21 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 1), seed, 2).map(jenkins_unit))
+export const jenkins_hash22 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 2), seed, 2).map(jenkins_unit))
+export const jenkins_hash23 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 3), seed, 2).map(jenkins_unit))
+export const jenkins_hash24 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 4), seed, 2).map(jenkins_unit))
+export const jenkins_hash31 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 1), seed, 3).map(jenkins_unit))
+export const jenkins_hash32 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 2), seed, 3).map(jenkins_unit))
+export const jenkins_hash33 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 3), seed, 3).map(jenkins_unit))
+export const jenkins_hash34 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 4), seed, 3).map(jenkins_unit))
+export const jenkins_hash41 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 1), seed, 4).map(jenkins_unit))
+export const jenkins_hash42 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 2), seed, 4).map(jenkins_unit))
+export const jenkins_hash43 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 3), seed, 4).map(jenkins_unit))
+export const jenkins_hash44 = (k, seed = 0) => pack(jenkins_streams(float_keys(k, 4), seed, 4).map(jenkins_unit))
+
+export const jenkins_hash11_u32 = (k, seed = 0) => pack(jenkins_streams(uint_keys(k, 1), seed, 1))
+export const jenkins_hash12_u32 = (k, seed = 0) => pack(jenkins_streams(uint_keys(k, 2), seed, 1))
+export const jenkins_hash13_u32 = (k, seed = 0) => pack(jenkins_streams(uint_keys(k, 3), seed, 1))
+export const jenkins_hash14_u32 = (k, seed = 0) => pack(jenkins_streams(uint_keys(k, 4), seed, 1))
+
+//
+// Wang Hashs, [0,1)
+//
+
+const wang_mix = (h) => {
+  h = (h ^ 61) ^ (h >>> 16)
+  h = Math.imul(h, 9)
+  h ^= h >>> 4
+  h = Math.imul(h, 0x27d4_eb2d)
+  h ^= h >>> 15
+  return h >>> 0
+}
+
+/**
+ * Up to 4 uint Wang hashes of 1 to 4 keys, as `wang_streams`.
+ *
+ * @private
+ */
+const wang_streams = (keys, seed, count) => {
+  const key = keys.length === 1
+    ? (keys[0] + Math.imul(seed, 0x9e37_79b9)) | 0
+    : jenkins_fold(keys, seed >>> 0)[2]
+  const streams = [wang_mix(key)]
+  while (streams.length < count) streams.push(wang_mix(streams[streams.length - 1]))
+  return streams
+}
+
+export const wang_hash11 = (k, seed = 0) => pack(wang_streams(float_keys(k, 1), seed, 1).map(unit))
+export const wang_hash12 = (k, seed = 0) => pack(wang_streams(float_keys(k, 2), seed, 1).map(unit))
+export const wang_hash13 = (k, seed = 0) => pack(wang_streams(float_keys(k, 3), seed, 1).map(unit))
+export const wang_hash14 = (k, seed = 0) => pack(wang_streams(float_keys(k, 4), seed, 1).map(unit))
+export const wang_hash21 = (k, seed = 0) => pack(wang_streams(float_keys(k, 1), seed, 2).map(unit))
+export const wang_hash22 = (k, seed = 0) => pack(wang_streams(float_keys(k, 2), seed, 2).map(unit))
+export const wang_hash23 = (k, seed = 0) => pack(wang_streams(float_keys(k, 3), seed, 2).map(unit))
+export const wang_hash24 = (k, seed = 0) => pack(wang_streams(float_keys(k, 4), seed, 2).map(unit))
+export const wang_hash31 = (k, seed = 0) => pack(wang_streams(float_keys(k, 1), seed, 3).map(unit))
+export const wang_hash32 = (k, seed = 0) => pack(wang_streams(float_keys(k, 2), seed, 3).map(unit))
+export const wang_hash33 = (k, seed = 0) => pack(wang_streams(float_keys(k, 3), seed, 3).map(unit))
+export const wang_hash34 = (k, seed = 0) => pack(wang_streams(float_keys(k, 4), seed, 3).map(unit))
+export const wang_hash41 = (k, seed = 0) => pack(wang_streams(float_keys(k, 1), seed, 4).map(unit))
+export const wang_hash42 = (k, seed = 0) => pack(wang_streams(float_keys(k, 2), seed, 4).map(unit))
+export const wang_hash43 = (k, seed = 0) => pack(wang_streams(float_keys(k, 3), seed, 4).map(unit))
+export const wang_hash44 = (k, seed = 0) => pack(wang_streams(float_keys(k, 4), seed, 4).map(unit))
+
+export const wang_hash11_u32 = (k, seed = 0) => pack(wang_streams(uint_keys(k, 1), seed, 1))
+export const wang_hash12_u32 = (k, seed = 0) => pack(wang_streams(uint_keys(k, 2), seed, 1))
+export const wang_hash13_u32 = (k, seed = 0) => pack(wang_streams(uint_keys(k, 3), seed, 1))
+export const wang_hash14_u32 = (k, seed = 0) => pack(wang_streams(uint_keys(k, 4), seed, 1))
+
+//
+// PCG Hashs, [0,1)
+//
+
+const pcg = ([v]) => {
+  const state = (Math.imul(v, 747796405) + 2891336453) | 0
+  const word = Math.imul((state >>> ((state >>> 28) + 4)) ^ state, 277803737)
+  return [((word >>> 22) ^ word) >>> 0]
+}
+
+const lcg = (v) => (Math.imul(v, 1664525) + 1013904223) | 0
+const shift16 = (h) => h.map((x) => x ^ (x >>> 16))
+
+const pcg2d = (v) => {
+  let h = v.map(lcg)
+  h[0] = (h[0] + Math.imul(h[1], 1664525)) | 0
+  h[1] = (h[1] + Math.imul(h[0], 1664525)) | 0
+  h = shift16(h)
+  h[0] = (h[0] + Math.imul(h[1], 1664525)) | 0
+  h[1] = (h[1] + Math.imul(h[0], 1664525)) | 0
+  return shift16(h).map((x) => x >>> 0)
+}
+
+const pcg3d = (v) => {
+  let h = v.map(lcg)
+  const round = () => {
+    h[0] = (h[0] + Math.imul(h[1], h[2])) | 0
+    h[1] = (h[1] + Math.imul(h[2], h[0])) | 0
+    h[2] = (h[2] + Math.imul(h[0], h[1])) | 0
+  }
+  round()
+  h = shift16(h)
+  round()
+  return h.map((x) => x >>> 0)
+}
+
+const pcg4d = (v) => {
+  let h = v.map(lcg)
+  const round = () => {
+    h[0] = (h[0] + Math.imul(h[1], h[3])) | 0
+    h[1] = (h[1] + Math.imul(h[2], h[0])) | 0
+    h[2] = (h[2] + Math.imul(h[0], h[1])) | 0
+    h[3] = (h[3] + Math.imul(h[1], h[2])) | 0
+  }
+  round()
+  h = shift16(h)
+  round()
+  return h.map((x) => x >>> 0)
+}
+
+/**
+ * PCG hash of N keys into N uints, as `pcg_streams`.
+ *
+ * @private
+ */
+const pcg_streams = (keys, seed) => {
+  const offset = Math.imul(seed, 0x9e37_79b9)
+  return [pcg, pcg2d, pcg3d, pcg4d][keys.length - 1](keys.map((key) => (key + offset) | 0))
+}
+
+export const pcg_hash11 = (k, seed = 0) => pack(pcg_streams(float_keys(k, 1), seed).map(unit))
+export const pcg_hash22 = (k, seed = 0) => pack(pcg_streams(float_keys(k, 2), seed).map(unit))
+export const pcg_hash33 = (k, seed = 0) => pack(pcg_streams(float_keys(k, 3), seed).map(unit))
+export const pcg_hash44 = (k, seed = 0) => pack(pcg_streams(float_keys(k, 4), seed).map(unit))
+
+export const pcg_hash11_u32 = (k, seed = 0) => pack(pcg_streams(uint_keys(k, 1), seed))
+export const pcg_hash22_u32 = (k, seed = 0) => pack(pcg_streams(uint_keys(k, 2), seed))
+export const pcg_hash33_u32 = (k, seed = 0) => pack(pcg_streams(uint_keys(k, 3), seed))
+export const pcg_hash44_u32 = (k, seed = 0) => pack(pcg_streams(uint_keys(k, 4), seed))
+
+//
+// xxHash32 Hashs, [0,1)
+//
+
+const XXH_PRIME32_1 = 0x9e37_79b1
+const XXH_PRIME32_2 = 0x85eb_ca77
+const XXH_PRIME32_3 = 0xc2b2_ae3d
+const XXH_PRIME32_4 = 0x27d4_eb2f
+const XXH_PRIME32_5 = 0x1656_67b1
+
+const xxhash32_avalanche = (h) => {
+  h ^= h >>> 15
+  h = Math.imul(h, XXH_PRIME32_2)
+  h ^= h >>> 13
+  h = Math.imul(h, XXH_PRIME32_3)
+  h ^= h >>> 16
+  return h >>> 0
+}
+
+/**
+ * xxHash32 of 1 to 4 uint keys.
+ *
+ * @private
+ */
+const xxhash32 = (keys, seed) => {
+  seed >>>= 0
+  if (keys.length === 4) {
+    const lanes = [seed + XXH_PRIME32_1 + XXH_PRIME32_2, seed + XXH_PRIME32_2, seed, seed - XXH_PRIME32_1]
+      .map((v, i) => Math.imul(rot((v + Math.imul(keys[i], XXH_PRIME32_2)) | 0, 13), XXH_PRIME32_1))
+    return xxhash32_avalanche((rot(lanes[0], 1) + rot(lanes[1], 7) + rot(lanes[2], 12) + rot(lanes[3], 18) + 16) | 0)
+  }
+  let h = (seed + XXH_PRIME32_5 + keys.length * 4) | 0
+  for (const key of keys) {
+    h = Math.imul(rot((h + Math.imul(key, XXH_PRIME32_3)) | 0, 17), XXH_PRIME32_4)
+  }
+  return xxhash32_avalanche(h)
+}
+
+export const xxhash32_hash11 = (k, seed = 0) => unit(xxhash32(float_keys(k, 1), seed))
+export const xxhash32_hash12 = (k, seed = 0) => unit(xxhash32(float_keys(k, 2), seed))
+export const xxhash32_hash13 = (k, seed = 0) => unit(xxhash32(float_keys(k, 3), seed))
+export const xxhash32_hash14 = (k, seed = 0) => unit(xxhash32(float_keys(k, 4), seed))
+
+export const xxhash32_hash11_u32 = (k, seed = 0) => xxhash32(uint_keys(k, 1), seed)
+export const xxhash32_hash12_u32 = (k, seed = 0) => xxhash32(uint_keys(k, 2), seed)
+export const xxhash32_hash13_u32 = (k, seed = 0) => xxhash32(uint_keys(k, 3), seed)
+export const xxhash32_hash14_u32 = (k, seed = 0) => xxhash32(uint_keys(k, 4), seed)
@@ -0,0 +1,2 @@
+export * from './hash.js'
+export * from './map.js'
\ No newline at end of file
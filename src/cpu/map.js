@@ -0,0 +1,310 @@
+//
+// CPU twins of ../map.js
+//  Plain JS in double precision, so results match the GPU within f32 tolerance.
+//  - Scalars are numbers and vectors are arrays of numbers.
+//  - Component-wise functions take a number or an array for each argument;
+//    numbers are splatted, like `vecN(x)`.
+//
+
+/**
+ * Lift a scalar function to a component-wise one over numbers and arrays.
+ *
+ * @private
+ */
+const componentwise = (f) => (...args) => {
+  const n = args.find(Array.isArray)?.length
+  if (n === undefined) return f(...args)
+  return Array.from({ length: n }, (_, i) => f(...args.map((a) => (Array.isArray(a) ? a[i] : a))))
+}
+
+const clamp = (x, min, max) => Math.min(Math.max(x, min), max)
+const mod = (x, y) => x - y * Math.floor(x / y)
+const remap = (x, in_low, in_high, out_low, out_high) => out_low + (x - in_low) * (out_high - out_low) / (in_high - in_low)
+const length = (v) => Math.hypot(...v)
+const normalize = (v) => {
+  const l = length(v)
+  return v.map((x) => x / l)
+}
+
+//
+// Smootherstep
+//
+
+/**
+ * Smootherstep interpolation function, see `smootherstep` in map.js.
+ *
+ * @param {number|number[]} edge0 - Lower edge.
+ * @param {number|number[]} edge1 - Upper edge.
+ * @param {number|number[]} k - Input value.
+ * @returns {number|number[]} Output in [0,1].
+ */
+export const smootherstep = componentwise((edge0, edge1, k) => {
+  const diff = edge1 - edge0
+  k = clamp((k - edge0) / Math.abs(diff), 0, 1)
+  const poly01 = k ** 3 * (k * (k * 6 - 15) + 10)
+  return diff < 0 ? 1 - poly01 : poly01
+})
+
+const smoothstep = (edge0, edge1, k) => {
+  const t = clamp((k - edge0) / (edge1 - edge0), 0, 1)
+  return t * t * (3 - 2 * t)
+}
+
+//
+// Mirrored repeat
+//
+
+/**
+ * Mirror a ramp on odd half periods.
+ *
+ * @private
+ */
+const mirrored = (ease) => componentwise((k, half_period = 1) => {
+  const ramp01 = ease(mod(k, half_period), half_period)
+  const is_odd_half = Math.floor(mod(k / half_period, 2))
+  return is_odd_half ? 1 - ramp01 : ramp01
+})
+
+/**
+ * Mirrored repeat ramp with output normalized to [0,1].
+ *
+ * @param {number|number[]} k - Input value.
+ * @param {number} [half_period=1] - Distance to the turning point.
+ * @returns {number|number[]} Output in [0,1].
+ */
+export const mirrored_repeat01 = mirrored((x, half_period) => x / half_period)
+
+/**
+ * Mirrored repeat ramp with mirrored output values.
+ *
+ * @param {number|number[]} k - Input value.
+ * @param {number} [half_period=1] - Distance to the turning point.
+ * @returns {number|number[]} Output in [0, half_period].
+ */
+export const mirrored_repeat = (k, half_period = 1) => componentwise((x) => x * half_period)(mirrored_repeat01(k, half_period))
+
+/**
+ * Mirrored repeat ramp with output normalized to [0,1], using smoothstep easing.
+ *
+ * @param {number|number[]} k - Input value.
+ * @param {number} [half_period=1] - Distance to the turning point.
+ * @returns {number|number[]} Output in [0,1].
+ */
+export const mirrored_repeat_smooth01 = mirrored((x, half_period) => smoothstep(0, half_period, x))
+
+/**
+ * Mirrored repeat ramp with mirrored output values, using smoothstep easing.
+ *
+ * @param {number|number[]} k - Input value.
+ * @param {number} [half_period=1] - Distance to the turning point.
+ * @returns {number|number[]} Output in [0, half_period].
+ */
+export const mirrored_repeat_smooth = (k, half_period = 1) => componentwise((x) => x * half_period)(mirrored_repeat_smooth01(k, half_period))
+
+/**
+ * Mirrored repeat ramp with output normalized to [0,1], using smootherstep easing.
+ *
+ * @param {number|number[]} k - Input value.
+ * @param {number} [half_period=1] - Distance to the turning point.
+ * @returns {number|number[]} Output in [0,1].
+ */
+export const mirrored_repeat_smoother01 = mirrored((x, half_period) => smootherstep(0, half_period, x))
+
+/**
+ * Mirrored repeat ramp with mirrored output values, using smootherstep easing.
+ *
+ * @param {number|number[]} k - Input value.
+ * @param {number} [half_period=1] - Distance to the turning point.
+ * @returns {number|number[]} Output in [0, half_period].
+ */
+export const mirrored_repeat_smoother = (k, half_period = 1) => componentwise((x) => x * half_period)(mirrored_repeat_smoother01(k, half_period))
+
+//
+// 2D Cartesian <-> 2D Polar
+//
+
+/**
+ * Convert 2D Cartesian coordinates to 2D polar coordinates.
+ *
+ * @param {number[]} coordinate - (x, y).
+ * @param {number[]} [origin=[0, 0]] - Origin of the polar system.
+ * @returns {number[]} (r, theta), theta in [-PI, PI].
+ */
+export const cartesian2d_to_polar2d = ([x, y], [ox, oy] = [0, 0]) => {
+  const dx = x - ox
+  const dy = y - oy
+  return [Math.hypot(dx, dy), Math.atan2(dy, dx)]
+}
+
+/**
+ * Convert 2D polar coordinates to 2D Cartesian coordinates.
+ *
+ * @param {number[]} coordinate - (r, theta).
+ * @param {number[]} [origin=[0, 0]] - Origin of the Cartesian system.
+ * @returns {number[]} (x, y).
+ */
+export const polar2d_to_cartesian2d = ([r, theta], [ox, oy] = [0, 0]) => {
+  return [Math.cos(theta) * r + ox, Math.sin(theta) * r + oy]
+}
+
+/**
+ * Convert 2D Cartesian coordinates to polar coordinates with normalized angle.
+ *
+ * @param {number[]} coordinate - (x, y).
+ * @param {number[]} [origin=[0, 0]] - Origin of the polar system.
+ * @returns {number[]} (r, theta01), theta01 in [0,1] for [-PI, PI].
+ */
+export const cartesian2d_to_polar2d01 = (coordinate, origin = [0, 0]) => {
+  const [r, theta] = cartesian2d_to_polar2d(coordinate, origin)
+  return [r, remap(theta, -Math.PI, Math.PI, 0, 1)]
+}
+
+/**
+ * Convert 2D polar coordinates with normalized angle to 2D Cartesian coordinates.
+ *
+ * Like `polar2d01_to_cartesian2d` in map.js, `origin` is accepted but not applied.
+ *
+ * @param {number[]} coordinate - (r, theta01).
+ * @param {number[]} [origin=[0, 0]] - Origin of the Cartesian system.
+ * @returns {number[]} (x, y).
+ */
+export const polar2d01_to_cartesian2d = ([r, theta01], origin = [0, 0]) => {
+  return polar2d_to_cartesian2d([r, remap(theta01, 0, 1, -Math.PI, Math.PI)])
+}
+
+//
+// 3D Cartesian <-> 3D Spherical
+//
+
+/**
+ * Convert 3D Cartesian coordinates to 3D spherical coordinates.
+ *
+ * @param {number[]} coordinate - (x, y, z).
+ * @param {number[]} [origin=[0, 0, 0]] - Origin of the spherical system.
+ * @returns {number[]} (r, azimuth, inclination); azimuth from +z toward +x, inclination down from +y.
+ */
+export const cartesian3d_to_spherical3d = ([x, y, z], [ox, oy, oz] = [0, 0, 0]) => {
+  const dx = x - ox
+  const dy = y - oy
+  const dz = z - oz
+  const r = Math.hypot(dx, dy, dz)
+  return [r, Math.atan2(dx, dz), Math.acos(dy / r)]
+}
+
+/**
+ * Convert 3D spherical coordinates to 3D Cartesian coordinates.
+ *
+ * @param {number[]} coordinate - (r, azimuth, inclination).
+ * @param {number[]} [origin=[0, 0, 0]] - Origin of the Cartesian system.
+ * @returns {number[]} (x, y, z).
+ */
+export const spherical3d_to_cartesian3d = ([r, azimuth, inclination], [ox, oy, oz] = [0, 0, 0]) => {
+  const s = r * Math.sin(inclination)
+  return [s * Math.sin(azimuth) + ox, r * Math.cos(inclination) + oy, s * Math.cos(azimuth) + oz]
+}
+
+/**
+ * Convert 3D Cartesian to 3D spherical coordinates with normalized angles.
+ *
+ * @param {number[]} coordinate - (x, y, z).
+ * @param {number[]} [origin=[0, 0, 0]] - Origin of the spherical system.
+ * @returns {number[]} (r, azimuth01, inclination01).
+ */
+export const cartesian3d_to_spherical3d01 = (coordinate, origin = [0, 0, 0]) => {
+  const [r, azimuth, inclination] = cartesian3d_to_spherical3d(coordinate, origin)
+  return [r, remap(azimuth, -Math.PI, Math.PI, 0, 1), remap(inclination, 0, Math.PI, 0, 1)]
+}
+
+/**
+ * Convert 3D spherical coordinates with normalized angles to 3D Cartesian coordinates.
+ *
+ * @param {number[]} coordinate - (r, azimuth01, inclination01).
+ * @param {number[]} [origin=[0, 0, 0]] - Origin of the Cartesian system.
+ * @returns {number[]} (x, y, z).
+ */
+export const spherical3d01_to_cartesian3d = ([r, azimuth01, inclination01], origin = [0, 0, 0]) => {
+  const azimuth = remap(azimuth01, 0, 1, -Math.PI, Math.PI)
+  const inclination = remap(inclination01, 0, 1, 0, Math.PI)
+  return spherical3d_to_cartesian3d([r, azimuth, inclination], origin)
+}
+
+//
+// 3D Cartesian <-> 2D Octahedral
+//
+
+const sign_not_zero = (x) => (x >= 0 ? 1 : -1)
+
+/**
+ * Encode a normalized 3D vector into 2D octahedral coordinates in [-1, 1]^2.
+ *
+ * @param {number[]} v - Normalized 3D vector.
+ * @returns {number[]} Octahedral-encoded 2D vector in [-1, 1]^2.
+ */
+export const cartesian3d01_to_octahedral2d01s = ([x, y, z]) => {
+  const l1 = Math.abs(x) + Math.abs(y) + Math.abs(z)
+  const px = x / l1
+  const py = y / l1
+  if (z > 0) return [px, py]
+  return [(1 - Math.abs(py)) * sign_not_zero(px), (1 - Math.abs(px)) * sign_not_zero(py)]
+}
+
+/**
+ * Decode a 2D octahedral-encoded vector in [-1, 1]^2 into a normalized 3D vector.
+ *
+ * @param {number[]} e - Octahedral-encoded 2D vector in [-1, 1]^2.
+ * @returns {number[]} Normalized 3D vector.
+ */
+export const octahedral2d01s_to_cartesian3d01 = ([ex, ey]) => {
+  const z = 1 - Math.abs(ex) - Math.abs(ey)
+  if (z >= 0) return normalize([ex, ey, z])
+  return normalize([(1 - Math.abs(ey)) * sign_not_zero(ex), (1 - Math.abs(ex)) * sign_not_zero(ey), z])
+}
+
+/**
+ * Encode a normalized 3D vector into 2D octahedral coordinates in [0,1]^2.
+ *
+ * @param {number[]} v - Normalized 3D vector.
+ * @returns {number[]} Octahedral-encoded 2D vector in [0,1]^2.
+ */
+export const cartesian3d01_to_octahedral2d01 = (v) => {
+  return cartesian3d01_to_octahedral2d01s(v).map((x) => remap(x, -1, 1, 0, 1))
+}
+
+/**
+ * Decode a 2D octahedral-encoded vector in [0,1]^2 into a normalized 3D vector.
+ *
+ * @param {number[]} e - Octahedral-encoded 2D vector in [0,1]^2.
+ * @returns {number[]} Normalized 3D vector.
+ */
+export const octahedral2d01_to_cartesian3d01 = (e) => {
+  return octahedral2d01s_to_cartesian3d01(e.map((x) => remap(x, 0, 1, -1, 1)))
+}
+
+//
+// 2D UV <-> 3D Hemisphere normal
+//
+
+/**
+ * Convert [0,1] UV coordinates into a hemisphere normal (Z+) and a signed
+ * distance from the unit circle, see `uv01_to_hemisphere_normal4` in map.js.
+ *
+ * @param {number[]} uv01 - UV coordinates in [0,1].
+ * @returns {number[]} (x, y, z, w): hemisphere normal and signed distance.
+ */
+export const uv01_to_hemisphere_normal4 = (uv01) => {
+  const [x, y] = uv01.map((u) => remap(u, 0, 1, -1, 1))
+  const r_sq = x * x + y * y
+  const z = Math.sqrt(1 - Math.min(r_sq, 1))
+  return [...normalize([x, y, z]), Math.sqrt(r_sq) - 1]
+}
+
+/**
+ * Convert a hemisphere normal and signed distance back into [0,1] UV coordinates.
+ *
+ * @param {number[]} normal4 - (x, y, z, w) as returned by {@link uv01_to_hemisphere_normal4}.
+ * @returns {number[]} UV coordinates in [0,1].
+ */
+export const hemisphere_normal4_to_uv01 = ([x, y, , w]) => {
+  const r = w + 1
+  return normalize([x, y]).map((d) => remap(r * d, -1, 1, 0, 1))
+}
@@ -0,0 +1,198 @@
+import { TSL as $ } from 'three/webgpu'
+import { jenkins_hash11, jenkins_hash12, jenkins_hash13, wang_hash11, wang_hash12, wang_hash13 } from './hash.js'
+
+//
+// Dithering
+//  - `position` is a pixel coordinate, e.g. `screenCoordinate`.
+//  - Sources return an offset in quantization steps (LSBs): rectangular ones
+//    in [-0.5, 0.5), triangular ones in (-1, 1).
+//  - `frame` (e.g. `frameId`) animates a source for temporal accumulation;
+//    omit it for a static pattern.
+//
+
+/**
+ * Shift a pixel coordinate by a per-frame offset within a `size` tile.
+ *
+ * Offsets follow the R2 sequence so consecutive frames are well spread.
+ *
+ * @param {*} position - Pixel coordinate (vec2).
+ * @param {*} frame - Frame index, or `null` for no offset.
+ * @param {*} size - Tile size in pixels (float or vec2).
+ * @returns {*} Offset pixel coordinate (vec2).
+ * @private
+ */
+const offset_by_frame = (position, frame, size) => {
+  if (frame === null) return position
+  const r2 = $.vec2(0.7548776662466927, 0.5698402909980532)
+  return position.add(r2.mul($.float(frame)).fract().mul(size).floor())
+}
+
+/**
+ * Remap a uniform [0,1) value to a triangular distribution on (-1, 1).
+ *
+ * @param {*} u - Uniform value (float).
+ * @returns {*} Triangular value (float).
+ * @private
+ */
+const uniform_to_triangular = (u) => {
+  const t = u.mul(2).sub(1)
+  return t.sign().mul(t.abs().oneMinus().sqrt().oneMinus())
+}
+
+/**
+ * Ordered (Bayer) dither threshold.
+ *
+ * @param {*} position - Pixel coordinate (vec2).
+ * @param {Object} [options]
+ * @param {number} [options.size=8] - Matrix size: `2`, `4` or `8`.
+ * @param {*} [options.frame=null] - Frame index; shifts the matrix every frame.
+ * @returns {*} Threshold offset (float) in [-0.5, 0.5).
+ *
+ * @example
+ * ```
+ * mat.colorNode = dither(color, dither_bayer(screenCoordinate, { size: 4 }))
+ * ```
+ */
+export const dither_bayer = (position, { size = 8, frame = null } = {}) => {
+  const levels = { 2: 1, 4: 2, 8: 3 }[size]
+  if (!levels) throw new Error(`Unsupported Bayer matrix size: ${size}`)
+  const p = $.uvec2(offset_by_frame($.vec2(position).floor(), frame, size))
+  // M(2n) = [[4M, 4M + 2], [4M + 3, 4M + 1]], so the lowest bit pair is the most significant.
+  let index = $.uint(0)
+  for (let i = 0; i < levels; ++i) {
+    const x = p.x.shiftRight(i).bitAnd(1)
+    const y = p.y.shiftRight(i).bitAnd(1)
+    const digit = x.bitXor(y).shiftLeft(1).bitOr(y)
+    index = index.add(digit.shiftLeft(2 * (levels - 1 - i)))
+  }
+  return index.toFloat().add(0.5).div(size * size).sub(0.5)
+}
+
+/**
+ * Interleaved gradient noise, a cheap blue-ish noise.
+ *
+ * With `frame`, the pattern is offset per frame as in the reference, cycling every 64 frames.
+ *
+ * Ref: Jimenez, "Next Generation Post Processing in Call of Duty: Advanced Warfare"
+ *
+ * @param {*} position - Pixel coordinate (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.frame=null] - Frame index.
+ * @returns {*} Threshold offset (float) in [-0.5, 0.5).
+ *
+ * @example
+ * ```
+ * mat.colorNode = dither(color, dither_ign(screenCoordinate, { frame: frameId }))
+ * ```
+ */
+export const dither_ign = (position, { frame = null } = {}) => {
+  let p = $.vec2(position).floor()
+  if (frame !== null) p = p.add($.float(frame).mod(64).mul(5.588238))
+  const noise = p.dot($.vec2(0.06711056, 0.00583715)).fract().mul(52.9829189).fract()
+  return noise.sub(0.5)
+}
+
+/**
+ * Triangular-PDF white noise dither.
+ *
+ * Sums two hashed uniform values, which decorrelates the quantization error
+ * from the signal better than a single uniform value.
+ *
+ * @param {*} position - Pixel coordinate (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.frame=null] - Frame index; hashed along with the position.
+ * @param {string} [options.hash='wang'] - Hash family: `'wang'` or `'jenkins'`.
+ * @returns {*} Threshold offset (float) in (-1, 1).
+ *
+ * @example
+ * ```
+ * mat.colorNode = dither(color_ramp_linear(stops, uv().y), dither_triangular(screenCoordinate))
+ * ```
+ */
+export const dither_triangular = (position, { frame = null, hash = 'wang' } = {}) => {
+  const [hash11, hash12, hash13] = {
+    wang: [wang_hash11, wang_hash12, wang_hash13],
+    jenkins: [jenkins_hash11, jenkins_hash12, jenkins_hash13]
+  }[hash] ?? []
+  if (!hash11) throw new Error(`Unknown hash: ${hash}`)
+  const p = $.vec2(position).floor()
+  const u0 = frame === null ? hash12(p) : hash13($.vec3(p, frame))
+  const u1 = hash11(u0)
+  return u0.add(u1).sub(1)
+}
+
+/**
+ * Blue-noise dither from a tiling noise texture.
+ *
+ * The texture is read texel by texel and tiles over the screen. With `frame`,
+ * the tile is shifted every frame.
+ *
+ * Ref: http://momentsingraphics.de/BlueNoise.html
+ *
+ * @param {*} tex - Tiling blue-noise texture; the red channel is used.
+ * @param {*} position - Pixel coordinate (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.frame=null] - Frame index.
+ * @param {boolean} [options.triangular=false] - Remap to a triangular distribution.
+ * @returns {*} Threshold offset (float); in [-0.5, 0.5), or (-1, 1) when triangular.
+ *
+ * @example
+ * ```
+ * mat.colorNode = dither(color, dither_blue_noise(blue_noise_tex, screenCoordinate, { frame: frameId }))
+ * ```
+ */
+export const dither_blue_noise = (tex, position, { frame = null, triangular = false } = {}) => {
+  const size = $.vec2($.textureSize($.texture(tex)))
+  const p = offset_by_frame($.vec2(position).floor(), frame, size).mod(size)
+  const noise = $.textureLoad(tex, $.ivec2(p)).r
+  return triangular ? uniform_to_triangular(noise) : noise.sub(0.5)
+}
+
+//
+// Quantization
+//
+
+/**
+ * Add a dither offset to a value, scaled to one step of the target bit depth.
+ *
+ * Use it just before the value is written to a low-precision target.
+ *
+ * @param {*} value - Value in [0,1] (float or vecN).
+ * @param {*} noise - Offset in steps, e.g. from {@link dither_bayer}.
+ * @param {*} [bits=8] - Target bit depth.
+ * @returns {*} Dithered value.
+ */
+export const dither = $.Fn(([value, noise, bits = 8]) => {
+  bits = $.float(bits)
+  return value.add($.float(noise).div($.exp2(bits).sub(1)))
+})
+
+/**
+ * Posterize a value to `levels` evenly spaced levels in [0,1].
+ *
+ * @param {*} value - Value in [0,1] (float or vecN).
+ * @param {*} levels - Number of levels, at least 2.
+ * @param {*} [noise=0] - Dither offset in steps, added before rounding.
+ * @returns {*} Posterized value.
+ *
+ * @example
+ * ```
+ * mat.colorNode = posterize(color, 5, dither_bayer(screenCoordinate))
+ * ```
+ */
+export const posterize = $.Fn(([value, levels, noise = 0]) => {
+  const steps = $.float(levels).sub(1)
+  return value.mul(steps).add(noise).round().div(steps).clamp(0, 1)
+})
+
+/**
+ * Quantize a value to a bit depth, e.g. to preview 5-bit banding.
+ *
+ * @param {*} value - Value in [0,1] (float or vecN).
+ * @param {*} [bits=8] - Target bit depth.
+ * @param {*} [noise=0] - Dither offset in steps, added before rounding.
+ * @returns {*} Quantized value.
+ */
+export const quantize = $.Fn(([value, bits = 8, noise = 0]) => {
+  return posterize(value, $.exp2($.float(bits)), noise)
+})
@@ -0,0 +1,172 @@
+import { TSL as $ } from 'three/webgpu'
+
+//
+// Dual numbers
+//  Forward-mode automatic differentiation: a dual number carries a value and
+//  its gradient with respect to a seeded coordinate. Duals expose the TSL
+//  method names of the supported ops, so a field written in method-chaining
+//  style (`k.x.mul(3).sin().add(k.y.pow2())`) evaluates both on nodes and on duals.
+//  Operands may be duals, nodes or numbers; nodes and numbers are constants.
+//
+//  - Scalar ops: add, sub, mul, div, negate, oneMinus, reciprocal, abs, sign,
+//    floor, fract, mod, min, max, clamp, mix, pow, pow2, pow3, sqrt, exp,
+//    exp2, log, log2, sin, cos, tan.
+//  - Vector ops: x/y/z/w and two-component swizzles, add, sub, mul, div,
+//    negate, dot, length, and the component-wise unary scalar ops.
+//
+
+const components = ['x', 'y', 'z', 'w']
+
+/**
+ * Whether a value is a dual number (scalar or vector).
+ *
+ * @param {*} x - Value.
+ * @returns {boolean}
+ */
+export const is_dual = (x) => x?.is_dual === true
+
+/**
+ * Dual scalar, or a constant lifted to one.
+ *
+ * @private
+ */
+const to_dual_float = (x, zero) => (is_dual(x) ? x : dual_float($.float(x), zero))
+
+/**
+ * Create a dual scalar.
+ *
+ * @param {*} value - Value (float).
+ * @param {*} grad - Gradient of the value (vecN).
+ * @returns {*} Dual scalar.
+ */
+export const dual_float = (value, grad) => {
+  // Derivative of a unary op, `f'(value)`.
+  const chain = (v, dv) => dual_float(v, grad.mul(dv))
+  const lift = (b) => to_dual_float(b, grad.mul(0))
+  const self = {
+    is_dual: true,
+    value,
+    grad,
+    add: (b) => {
+      b = lift(b)
+      return dual_float(value.add(b.value), grad.add(b.grad))
+    },
+    sub: (b) => {
+      b = lift(b)
+      return dual_float(value.sub(b.value), grad.sub(b.grad))
+    },
+    mul: (b) => {
+      b = lift(b)
+      return dual_float(value.mul(b.value), grad.mul(b.value).add(b.grad.mul(value)))
+    },
+    div: (b) => {
+      b = lift(b)
+      return dual_float(value.div(b.value), grad.mul(b.value).sub(b.grad.mul(value)).div(b.value.pow2()))
+    },
+    negate: () => dual_float(value.negate(), grad.negate()),
+    oneMinus: () => dual_float(value.oneMinus(), grad.negate()),
+    reciprocal: () => chain(value.reciprocal(), value.pow2().reciprocal().negate()),
+    abs: () => chain(value.abs(), value.sign()),
+    sign: () => chain(value.sign(), 0),
+    floor: () => chain(value.floor(), 0),
+    fract: () => chain(value.fract(), 1),
+    mod: (b) => {
+      b = lift(b)
+      const q = value.div(b.value).floor()
+      return dual_float(value.sub(b.value.mul(q)), grad.sub(b.grad.mul(q)))
+    },
+    min: (b) => {
+      b = lift(b)
+      const is_a = value.lessThan(b.value)
+      return dual_float($.select(is_a, value, b.value), $.select(is_a, grad, b.grad))
+    },
+    max: (b) => {
+      b = lift(b)
+      const is_a = value.greaterThan(b.value)
+      return dual_float($.select(is_a, value, b.value), $.select(is_a, grad, b.grad))
+    },
+    clamp: (low = 0, high = 1) => self.max(low).min(high),
+    mix: (b, t) => self.add(lift(b).sub(self).mul(t)),
+    pow: (b) => {
+      if (!is_dual(b)) {
+        b = $.float(b)
+        return chain(value.pow(b), b.mul(value.pow(b.sub(1))))
+      }
+      const v = value.pow(b.value)
+      return dual_float(v, grad.mul(b.value.mul(value.pow(b.value.sub(1)))).add(b.grad.mul(v.mul(value.log()))))
+    },
+    pow2: () => chain(value.pow2(), value.mul(2)),
+    pow3: () => chain(value.pow3(), value.pow2().mul(3)),
+    sqrt: () => chain(value.sqrt(), value.sqrt().mul(2).reciprocal()),
+    exp: () => chain(value.exp(), value.exp()),
+    exp2: () => chain(value.exp2(), value.exp2().mul(Math.LN2)),
+    log: () => chain(value.log(), value.reciprocal()),
+    log2: () => chain(value.log2(), value.mul(Math.LN2).reciprocal()),
+    sin: () => chain(value.sin(), value.cos()),
+    cos: () => chain(value.cos(), value.sin().negate()),
+    tan: () => chain(value.tan(), value.cos().pow2().reciprocal())
+  }
+  return self
+}
+
+const unary_ops = [
+  'negate', 'oneMinus', 'reciprocal', 'abs', 'sign', 'floor', 'fract', 'pow2', 'pow3',
+  'sqrt', 'exp', 'exp2', 'log', 'log2', 'sin', 'cos', 'tan'
+]
+
+/**
+ * Create a dual vector from dual scalar components.
+ *
+ * @param {Array} elements - 2 to 4 dual scalars.
+ * @returns {*} Dual vector.
+ */
+export const dual_vec = (elements) => {
+  const zero = elements[0].grad.mul(0)
+  // Component `i` of an operand; numbers and scalar nodes are splatted.
+  const element = (b, i) => {
+    if (is_dual(b)) return b.elements ? b.elements[i] : b
+    return to_dual_float(typeof b === 'number' ? b : b[components[i]], zero)
+  }
+  const binary = (op) => (b) => dual_vec(elements.map((e, i) => e[op](element(b, i))))
+  const self = {
+    is_dual: true,
+    elements,
+    add: binary('add'),
+    sub: binary('sub'),
+    mul: binary('mul'),
+    div: binary('div'),
+    dot: (b) => elements.map((e, i) => e.mul(element(b, i))).reduce((sum, e) => sum.add(e)),
+    length: () => self.dot(self).sqrt()
+  }
+  for (const op of unary_ops) self[op] = () => dual_vec(elements.map((e) => e[op]()))
+  const names = components.slice(0, elements.length)
+  names.forEach((c, i) => {
+    self[c] = elements[i]
+    names.forEach((d, j) => {
+      if (i !== j) Object.defineProperty(self, c + d, { get: () => dual_vec([elements[i], elements[j]]) })
+    })
+  })
+  return self
+}
+
+/**
+ * Seed a coordinate as the variable to differentiate against.
+ *
+ * @param {*} k - Coordinate (vec2 or vec3).
+ * @param {number} dims - Number of components of `k`, 2 or 3.
+ * @returns {*} Dual vector whose gradients are the unit axes.
+ *
+ * @example
+ * ```
+ * const f = (k) => k.x.mul(3).sin().mul(k.y)
+ * const d = f(dual_variable(uv(), 2))
+ * const height = d.value // == f(uv())
+ * const grad = d.grad // vec2(3 cos(3x) y, sin(3x))
+ * ```
+ */
+export const dual_variable = (k, dims) => {
+  const vec = [$.vec2, $.vec3][dims - 2]
+  k = vec(k)
+  const axes = Array.from({ length: dims }, (_, i) => Array.from({ length: dims }, (_, j) => (i === j ? 1 : 0)))
+  return dual_vec(axes.map((axis, i) => dual_float(k[components[i]], vec(...axis))))
+}
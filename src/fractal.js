@@ -0,0 +1,252 @@
+import { TSL as $ } from 'three/webgpu'
+
+//
+// Fractal combinators
+//  Take a scalar field `f` (a function from a coordinate node to a float node,
+//  as used by `bump_field2d` and `write_texture2d_kernel`) and return a new
+//  scalar field, so results nest and plug into the normal and compute helpers:
+//
+//    bump_field2d(fbm((k) => perlin_noise2d(k), { octaves: 6 }), uv().mul(4))
+//
+//  Shared options:
+//  - `octaves`: number of octaves (int or int node, e.g. a uniform).
+//  - `lacunarity`: frequency multiplier per octave.
+//  - `gain`: amplitude multiplier per octave.
+//  - `rotation`: coordinate rotation applied per octave to break up lattice
+//    alignment; an angle in radians for vec2 coordinates or Euler angles (vec3)
+//    for vec3 coordinates. `null` for none.
+//
+
+/**
+ * Sum octaves of a field.
+ *
+ * @param {*} k - Base coordinate.
+ * @param {Object} options - Octave options.
+ * @param {*} make_octave - Called once before the loop, so it can declare state vars;
+ *   returns `(p, amplitude, sum) => void`, the loop body adding one octave to `sum`.
+ * @returns {*} Sum (float).
+ * @private
+ */
+const octave_sum = (k, { octaves = 5, lacunarity = 2, gain = 0.5, rotation = null }, make_octave) => $.Fn(() => {
+  const p = k.toVar()
+  const amplitude = $.float(1).toVar()
+  const sum = $.float(0).toVar()
+  const octave = make_octave()
+  $.Loop({ start: 0, end: $.int(octaves), type: 'int' }, () => {
+    octave(p, amplitude, sum)
+    const rotated = rotation === null ? p : $.rotate(p, rotation)
+    p.assign(rotated.mul(lacunarity))
+    amplitude.mulAssign(gain)
+  })
+  return sum
+})()
+
+/**
+ * Fractional Brownian motion, a sum of octaves `gain^i * f(lacunarity^i * k)`.
+ *
+ * @param {*} f - Scalar field function.
+ * @param {Object} [options]
+ * @param {*} [options.octaves=5] - Number of octaves.
+ * @param {*} [options.lacunarity=2] - Frequency multiplier per octave.
+ * @param {*} [options.gain=0.5] - Amplitude multiplier per octave.
+ * @param {*} [options.rotation=null] - Per-octave rotation.
+ * @returns {*} Scalar field function.
+ *
+ * @example
+ * ```
+ * const height = fbm((k) => simplex_noise2d(k), { octaves: 6, rotation: 0.5 })
+ * mat.colorNode = vec3(height(uv().mul(4)).mul(0.5).add(0.5))
+ * ```
+ */
+export const fbm = (f, options = {}) => (k) => octave_sum(k, options, () => (p, amplitude, sum) => {
+  sum.addAssign($.float(f(p)).mul(amplitude))
+})
+
+/**
+ * Turbulence, fBm of the absolute field value. Signed fields fold into creases.
+ *
+ * @param {*} f - Scalar field function, signed (e.g. Perlin noise).
+ * @param {Object} [options]
+ * @param {*} [options.octaves=5] - Number of octaves.
+ * @param {*} [options.lacunarity=2] - Frequency multiplier per octave.
+ * @param {*} [options.gain=0.5] - Amplitude multiplier per octave.
+ * @param {*} [options.rotation=null] - Per-octave rotation.
+ * @returns {*} Scalar field function, non-negative.
+ */
+export const turbulence = (f, options = {}) => (k) => octave_sum(k, options, () => (p, amplitude, sum) => {
+  sum.addAssign($.float(f(p)).abs().mul(amplitude))
+})
+
+/**
+ * Ridged multifractal: sharp ridges where the field crosses zero, with
+ * detail weighted by the previous octave so valleys stay smooth.
+ *
+ * Ref: Musgrave, "Texturing and Modeling: A Procedural Approach", ch. 16
+ *
+ * @param {*} f - Scalar field function, signed (e.g. Perlin noise).
+ * @param {Object} [options]
+ * @param {*} [options.octaves=5] - Number of octaves.
+ * @param {*} [options.lacunarity=2] - Frequency multiplier per octave.
+ * @param {*} [options.gain=0.5] - Amplitude multiplier per octave.
+ * @param {*} [options.rotation=null] - Per-octave rotation.
+ * @param {*} [options.offset=1] - Ridge offset; higher values raise the valleys.
+ * @param {*} [options.sharpness=2] - Weight of the previous octave on the next one.
+ * @returns {*} Scalar field function, non-negative.
+ *
+ * @example
+ * ```
+ * const mountains = ridged_multifractal((k) => perlin_noise2d(k), { octaves: 8 })
+ * mat.positionNode = positionLocal.add(normalLocal.mul(mountains(uv().mul(3)).mul(0.2)))
+ * ```
+ */
+export const ridged_multifractal = (f, { offset = 1, sharpness = 2, ...options } = {}) => (k) => octave_sum(k, options, () => {
+  const weight = $.float(1).toVar()
+  return (p, amplitude, sum) => {
+    const ridge = $.float(offset).sub($.float(f(p)).abs())
+    const signal = ridge.mul(ridge).mul(weight)
+    weight.assign(signal.mul(sharpness).clamp(0, 1))
+    sum.addAssign(signal.mul(amplitude))
+  }
+})
+
+/**
+ * Hybrid multifractal: smooth lowlands and rough highlands, as each octave is
+ * weighted by the running signal.
+ *
+ * Ref: Musgrave, "Texturing and Modeling: A Procedural Approach", ch. 16
+ *
+ * @param {*} f - Scalar field function, signed (e.g. Perlin noise).
+ * @param {Object} [options]
+ * @param {*} [options.octaves=5] - Number of octaves.
+ * @param {*} [options.lacunarity=2] - Frequency multiplier per octave.
+ * @param {*} [options.gain=0.5] - Amplitude multiplier per octave.
+ * @param {*} [options.rotation=null] - Per-octave rotation.
+ * @param {*} [options.offset=0.7] - Field offset; keeps the weights mostly positive.
+ * @returns {*} Scalar field function.
+ */
+export const hybrid_multifractal = (f, { offset = 0.7, ...options } = {}) => (k) => octave_sum(k, options, () => {
+  const weight = $.float(1).toVar()
+  return (p, amplitude, sum) => {
+    const signal = $.float(f(p)).add(offset).mul(amplitude)
+    sum.addAssign(signal.mul(weight))
+    weight.assign(weight.mul(signal).min(1))
+  }
+})
+
+/**
+ * Domain warping: evaluate `f` at a coordinate displaced by the field `warp`.
+ *
+ * `warp` maps a coordinate to an offset of the same type, e.g. a vec2 built
+ * from two decorrelated samples of a scalar field. With `iterations > 1`
+ * the warp is applied to its own output, `k + strength * warp(k + strength * warp(k))`.
+ *
+ * Ref: https://iquilezles.org/articles/warp/
+ *
+ * @param {*} f - Field function to evaluate.
+ * @param {*} warp - Offset function, coordinate to coordinate offset.
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Offset multiplier.
+ * @param {number} [options.iterations=1] - Number of nested warps.
+ * @returns {*} Field function.
+ *
+ * @example
+ * ```
+ * const n = fbm((k) => simplex_noise2d(k), { octaves: 4 })
+ * const warp = (k) => vec2(n(k), n(k.add(vec2(5.2, 1.3))))
+ * const field = domain_warp(n, warp, { strength: 4, iterations: 2 })
+ * const kernel = write_texture2d_kernel(tex, (uv) => vec4(vec3(field(uv.mul(3))), 1))
+ * ```
+ */
+export const domain_warp = (f, warp, { strength = 1, iterations = 1 } = {}) => (k) => {
+  let p = k
+  for (let i = 0; i < iterations; ++i) {
+    p = k.add(warp(p).mul(strength))
+  }
+  return f(p)
+}
+
+//
+// Tiling
+//  Make a field periodic, so textures baked from it repeat without seams.
+//  Both take a `period` in the units of the field coordinate; bake with
+//  `sampling: 'center'` so the first and last texels do not duplicate.
+//
+
+/**
+ * Seamless tiling by mapping each axis of a 2D coordinate onto a circle:
+ * the field is evaluated on a 4D torus, so it needs a 4D field.
+ *
+ * Distances along the circles match those along the axes, so features keep
+ * their size; there is no blending, but 4D fields are costlier than 2D ones.
+ *
+ * @param {*} f - Field function that takes a vec4.
+ * @param {Object} [options]
+ * @param {*} [options.period=1] - Tile size along both axes.
+ * @returns {*} Field function that takes a vec2.
+ *
+ * @example
+ * ```
+ * const field = tileable_torus2d(fbm((k) => simplex_noise4d(k.mul(8))))
+ * const kernel = write_texture2d_kernel(tex, (uv) => vec4(vec3(field(uv)), 1), { sampling: 'center' })
+ * ```
+ */
+export const tileable_torus2d = (f, { period = 1 } = {}) => (k) => {
+  const angle = $.vec2(k).div(period).mul(2 * Math.PI)
+  const radius = $.float(period).div(2 * Math.PI)
+  return f($.vec4(angle.x.cos(), angle.x.sin(), angle.y.cos(), angle.y.sin()).mul(radius))
+}
+
+/**
+ * Gradient of a {@link tileable_torus2d} field from the gradient of its 4D
+ * field, e.g. 4D noise with derivatives, for {@link analytic_gradient}.
+ *
+ * @param {*} g - Gradient function that takes a vec4 and returns a vec4.
+ * @param {Object} [options]
+ * @param {*} [options.period=1] - Tile size along both axes, as passed to `tileable_torus2d`.
+ * @returns {*} Gradient function that takes a vec2 and returns a vec2.
+ *
+ * @example
+ * ```
+ * const f = tileable_torus2d((k) => perlin_noise4d(k.mul(8)))
+ * const g = tileable_torus2d_gradient((k) => perlin_noise4d(k.mul(8), { derivatives: true }).gradient.mul(8))
+ * mat.normalNode = bump_field2d(f, uv(), 0.02, analytic_gradient(g))
+ * ```
+ */
+export const tileable_torus2d_gradient = (g, { period = 1 } = {}) => (k) => {
+  const angle = $.vec2(k).div(period).mul(2 * Math.PI)
+  const radius = $.float(period).div(2 * Math.PI)
+  const cos = angle.cos()
+  const sin = angle.sin()
+  const d = $.vec4(g($.vec4(cos.x, sin.x, cos.y, sin.y).mul(radius)))
+  // The torus moves along (-sin, cos) in each plane at unit speed.
+  return $.vec2(d.y.mul(cos.x).sub(d.x.mul(sin.x)), d.w.mul(cos.y).sub(d.z.mul(sin.y)))
+}
+
+/**
+ * Seamless tiling by cross-blending: near the far edge of each axis, the
+ * field fades into its copy shifted by one period, which continues the near edge.
+ *
+ * Works with any 2D field, at four evaluations; contrast drops inside the
+ * blend band, most at its center.
+ *
+ * @param {*} f - Field function that takes a vec2.
+ * @param {Object} [options]
+ * @param {*} [options.period=1] - Tile size along both axes.
+ * @param {*} [options.width=0.5] - Width of the blend band, as a fraction of the period in (0,1].
+ * @returns {*} Field function that takes a vec2.
+ *
+ * @example
+ * ```
+ * const field = tileable_blend2d(fbm((k) => perlin_noise2d(k.mul(8))), { width: 0.25 })
+ * const kernel = write_texture2d_kernel(tex, (uv) => vec4(vec3(field(uv)), 1), { sampling: 'center' })
+ * ```
+ */
+export const tileable_blend2d = (f, { period = 1, width = 0.5 } = {}) => (k) => {
+  period = $.float(period)
+  const t = $.vec2(k).div(period).fract()
+  const p = t.mul(period)
+  const a = t.sub($.float(width).oneMinus()).div(width).clamp(0, 1)
+  const near = $.mix(f(p), f(p.sub($.vec2(period, 0))), a.x)
+  const far = $.mix(f(p.sub($.vec2(0, period))), f(p.sub($.vec2(period))), a.x)
+  return $.mix(near, far, a.y)
+}
@@ -0,0 +1,127 @@
+import { TSL as $ } from 'three/webgpu'
+import { cartesian2d_to_polar2d01 } from './map.js'
+
+//
+// Gradient coordinates
+//  Outputs are ramp positions, e.g. `color_ramp(stops, gradient_radial(uv(), 0.5))`
+//
+
+/**
+ * Transform a coordinate into gradient space.
+ *
+ * The coordinate is moved to `origin`, rotated by `-rotation` and divided by `scale`,
+ * so the gradient appears rotated counter-clockwise by `rotation` and stretched by `scale`.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y).
+ * @param {*} origin - Gradient origin.
+ * @param {*} rotation - Gradient rotation in radians, counter-clockwise.
+ * @param {*} scale - Gradient scale (`float` or `vec2`).
+ * @returns {*} Vec2 in gradient space.
+ * @private
+ */
+const to_gradient_space = (coordinate, origin, rotation, scale) => {
+  const offset = $.vec2(coordinate).sub($.vec2(origin))
+  return $.rotate(offset, $.float(rotation).negate()).div($.vec2(scale))
+}
+
+/**
+ * Linear gradient along a direction.
+ *
+ * Position is 0 at `origin` and grows by 1 per `scale` along the direction
+ * at angle `rotation` from the +x axis.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y), e.g. `uv()`.
+ * @param {*} [origin=(0, 0)] - Gradient origin.
+ * @param {*} [rotation=0] - Gradient angle in radians, counter-clockwise from the +x axis.
+ * @param {*} [scale=1] - Gradient scale (`float` or `vec2`).
+ * @returns {*} Gradient position (float).
+ *
+ * @example
+ * ```
+ * mat.colorNode = color_ramp_linear(stops, gradient_linear(uv(), vec2(0, 0), Math.PI / 4, Math.SQRT2))
+ * ```
+ */
+export const gradient_linear = $.Fn(([coordinate, origin = $.vec2(0, 0), rotation = 0, scale = 1]) => {
+  const p = to_gradient_space(coordinate, origin, rotation, scale)
+  return p.x
+})
+
+/**
+ * Reflected linear gradient, mirrored around the line through `origin`.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y), e.g. `uv()`.
+ * @param {*} [origin=(0, 0)] - Gradient origin, where position is 0.
+ * @param {*} [rotation=0] - Gradient angle in radians, counter-clockwise from the +x axis.
+ * @param {*} [scale=1] - Gradient scale (`float` or `vec2`).
+ * @returns {*} Gradient position (float), non-negative.
+ */
+export const gradient_reflected = $.Fn(([coordinate, origin = $.vec2(0, 0), rotation = 0, scale = 1]) => {
+  const p = to_gradient_space(coordinate, origin, rotation, scale)
+  return p.x.abs()
+})
+
+/**
+ * Radial gradient, the distance from `origin`.
+ *
+ * A `vec2` scale gives an elliptical gradient.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y), e.g. `uv()`.
+ * @param {*} [origin=(0, 0)] - Gradient center, where position is 0.
+ * @param {*} [rotation=0] - Ellipse rotation in radians, counter-clockwise.
+ * @param {*} [scale=1] - Radius where position is 1 (`float` or `vec2`).
+ * @returns {*} Gradient position (float), non-negative.
+ */
+export const gradient_radial = $.Fn(([coordinate, origin = $.vec2(0, 0), rotation = 0, scale = 1]) => {
+  const p = to_gradient_space(coordinate, origin, rotation, scale)
+  return p.length()
+})
+
+/**
+ * Diamond gradient, the Manhattan distance from `origin`.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y), e.g. `uv()`.
+ * @param {*} [origin=(0, 0)] - Gradient center, where position is 0.
+ * @param {*} [rotation=0] - Diamond rotation in radians, counter-clockwise.
+ * @param {*} [scale=1] - Distance to the diamond tips where position is 1 (`float` or `vec2`).
+ * @returns {*} Gradient position (float), non-negative.
+ */
+export const gradient_diamond = $.Fn(([coordinate, origin = $.vec2(0, 0), rotation = 0, scale = 1]) => {
+  const p = to_gradient_space(coordinate, origin, rotation, scale)
+  return p.x.abs().add(p.y.abs())
+})
+
+/**
+ * Conic (angular) gradient around `origin`.
+ *
+ * Position sweeps from 0 to 1 counter-clockwise, starting at angle `rotation`
+ * from the +x axis.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y), e.g. `uv()`.
+ * @param {*} [origin=(0, 0)] - Gradient center.
+ * @param {*} [rotation=0] - Start angle in radians, counter-clockwise from the +x axis.
+ * @param {*} [scale=1] - Gradient scale (`float` or `vec2`); a `vec2` skews the angles.
+ * @returns {*} Gradient position (float) in [0,1).
+ */
+export const gradient_conic = $.Fn(([coordinate, origin = $.vec2(0, 0), rotation = 0, scale = 1]) => {
+  const p = to_gradient_space(coordinate, origin, rotation, scale)
+  const theta01 = cartesian2d_to_polar2d01(p).y // 0 at -x axis
+  return theta01.add(0.5).fract()
+})
+
+/**
+ * Spiral gradient around `origin`.
+ *
+ * A conic gradient whose start angle advances one full turn per `scale`
+ * of distance from `origin`.
+ *
+ * @param {*} coordinate - Input Vec2 (x, y), e.g. `uv()`.
+ * @param {*} [origin=(0, 0)] - Spiral center.
+ * @param {*} [rotation=0] - Start angle in radians, counter-clockwise from the +x axis.
+ * @param {*} [scale=1] - Distance between spiral arms (`float` or `vec2`).
+ * @returns {*} Gradient position (float) in [0,1).
+ */
+export const gradient_spiral = $.Fn(([coordinate, origin = $.vec2(0, 0), rotation = 0, scale = 1]) => {
+  const p = to_gradient_space(coordinate, origin, rotation, scale)
+  const polar2d01 = cartesian2d_to_polar2d01(p)
+  return polar2d01.y.add(0.5).sub(polar2d01.x).fract()
+})
@@ -52,47 +52,47 @@ const jenkins_final = $.Fn(([a, b, c]) => {
   return $.uvec3(A, B, C)
 })
 
-const jenkins_fold1 = $.Fn(([kx]) => {
+const jenkins_fold1 = $.Fn(([kx, seed]) => {
   const a = $.uint().toVar()
   const b = $.uint().toVar()
   const c = $.uint().toVar()
-  c.assign($.uint(0xdeadbeef).add($.uint(1).shiftLeft(2)).add(13))
+  c.assign($.uint(0xdeadbeef).add($.uint(1).shiftLeft(2)).add(13).add($.uint(seed)))
   b.assign(c)
   a.assign(b)
   a.addAssign(kx)
-  return jenkins_final(a, b, c).z
+  return jenkins_final(a, b, c)
 })
 
-const jenkins_fold2 = $.Fn(([kx, ky]) => {
+const jenkins_fold2 = $.Fn(([kx, ky, seed]) => {
   const a = $.uint().toVar()
   const b = $.uint().toVar()
   const c = $.uint().toVar()
-  c.assign($.uint(0xdeadbeef).add($.uint(2).shiftLeft(2)).add(13))
+  c.assign($.uint(0xdeadbeef).add($.uint(2).shiftLeft(2)).add(13).add($.uint(seed)))
   b.assign(c)
   a.assign(b)
   b.addAssign(ky)
   a.addAssign(kx)
-  return jenkins_final(a, b, c).z
+  return jenkins_final(a, b, c)
 })
 
-const jenkins_fold3 = $.Fn(([kx, ky, kz]) => {
+const jenkins_fold3 = $.Fn(([kx, ky, kz, seed]) => {
   const a = $.uint().toVar()
   const b = $.uint().toVar()
   const c = $.uint().toVar()
-  c.assign($.uint(0xdeadbeef).add($.uint(3).shiftLeft(2)).add(13))
+  c.assign($.uint(0xdeadbeef).add($.uint(3).shiftLeft(2)).add(13).add($.uint(seed)))
   b.assign(c)
   a.assign(b)
   c.addAssign(kz)
   b.addAssign(ky)
   a.addAssign(kx)
-  return jenkins_final(a, b, c).z
+  return jenkins_final(a, b, c)
 })
 
-const jenkins_fold4 = $.Fn(([kx, ky, kz, kw]) => {
+const jenkins_fold4 = $.Fn(([kx, ky, kz, kw, seed]) => {
   const a = $.uint().toVar()
   const b = $.uint().toVar()
   const c = $.uint().toVar()
-  c.assign($.uint(0xdeadbeef).add($.uint(4).shiftLeft(2)).add(13))
+  c.assign($.uint(0xdeadbeef).add($.uint(4).shiftLeft(2)).add(13).add($.uint(seed)))
   b.assign(c)
   a.assign(b)
   a.addAssign(kx)
@@ -103,100 +103,432 @@ const jenkins_fold4 = $.Fn(([kx, ky, kz, kw]) => {
   const B = mixed.y
   const C = mixed.z
   A.addAssign(kw)
-  return jenkins_final(A, B, C).z
+  return jenkins_final(A, B, C)
 })
 
+/**
+ * Jenkins fold of 1 to 4 keys.
+ *
+ * @private
+ */
+const jenkins_fold = (keys, seed) => {
+  return [jenkins_fold1, jenkins_fold2, jenkins_fold3, jenkins_fold4][keys.length - 1](...keys, seed)
+}
+
+/**
+ * Up to 4 uint hashes of the same keys: the primary (c) and secondary (b)
+ * lookup3 outputs, then the same for `seed + 1`.
+ *
+ * @private
+ */
+const jenkins_streams = (keys, seed, count) => {
+  const h0 = jenkins_fold(keys, seed)
+  if (count <= 2) return [h0.z, h0.y].slice(0, count)
+  const h1 = jenkins_fold(keys, $.uint(seed).add(1))
+  return [h0.z, h0.y, h1.z, h1.y].slice(0, count)
+}
+
+//
+// Shared
+//  - Float variants hash the bit patterns of their float inputs.
+//  - `_u32` variants take uint/uvecN keys (e.g. integer cell IDs) and return uints.
+//  - `seed` (uint, default 0) selects an independent stream of the same family.
+//
+
+const components = ['x', 'y', 'z', 'w']
+
+/**
+ * Float keys as uint bit patterns.
+ *
+ * @private
+ */
+const float_keys = (k, n) => {
+  if (n === 1) return [$.floatBitsToUint($.float(k))]
+  k = [$.vec2, $.vec3, $.vec4][n - 2](k)
+  return components.slice(0, n).map((c) => $.floatBitsToUint(k[c]))
+}
+
+/**
+ * Uint keys.
+ *
+ * @private
+ */
+const uint_keys = (k, n) => {
+  if (n === 1) return [$.uint(k)]
+  k = [$.uvec2, $.uvec3, $.uvec4][n - 2](k)
+  return components.slice(0, n).map((c) => k[c])
+}
+
+/**
+ * Pack 1 to 4 floats or uints into a float/uint or a vecN/uvecN.
+ *
+ * @private
+ */
+const pack = (values) => (values.length === 1 ? values[0] : [$.vec2, $.vec3, $.vec4][values.length - 2](...values))
+const pack_uint = (values) => (values.length === 1 ? values[0] : [$.uvec2, $.uvec3, $.uvec4][values.length - 2](...values))
+
+const jenkins_unit = (h) => h.toFloat().div(0xffff_ffff)
+const unit = (h) => h.toFloat().div(0xffff_ffff + 1).fract()
+
 //
 // Jenkins Hashs, [0,1]
+//  Ref: http://burtleburtle.net/bob/c/lookup3.c
+//  `seed` offsets the lookup3 initval.
 //
 
-export const jenkins_hash11 = $.Fn(([k]) => {
-  k = $.float(k)
-  return jenkins_fold1($.floatBitsToUint(k))
-    .toFloat()
-    .div(0xffff_ffff)
-})
-
-export const jenkins_hash12 = $.Fn(([k]) => {
-  k = $.vec2(k)
-  return jenkins_fold2(
-    $.floatBitsToUint(k.x),
-    $.floatBitsToUint(k.y)
-  )
-    .toFloat()
-    .div(0xffff_ffff)
-})
-
-export const jenkins_hash13 = $.Fn(([k]) => {
-  k = $.vec3(k)
-  return jenkins_fold3(
-    $.floatBitsToUint(k.x),
-    $.floatBitsToUint(k.y),
-    $.floatBitsToUint(k.z)
-  )
-    .toFloat()
-    .div(0xffff_ffff)
-})
-
-export const jenkins_hash14 = $.Fn(([k]) => {
-  return jenkins_fold4(
-    $.floatBitsToUint(k.x),
-    $.floatBitsToUint(k.y),
-    $.floatBitsToUint(k.z),
-    $.floatBitsToUint(k.w)
-  )
-    .toFloat()
-    .div(0xffff_ffff)
+export const jenkins_hash11 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 1), seed, 1).map(jenkins_unit))
+})
+
+export const jenkins_hash12 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 2), seed, 1).map(jenkins_unit))
+})
+
+export const jenkins_hash13 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 3), seed, 1).map(jenkins_unit))
+})
+
+export const jenkins_hash14 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 4), seed, 1).map(jenkins_unit))
+})
+
+export const jenkins_hash21 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 1), seed, 2).map(jenkins_unit))
+})
+
+export const jenkins_hash22 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 2), seed, 2).map(jenkins_unit))
+})
+
+export const jenkins_hash23 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 3), seed, 2).map(jenkins_unit))
+})
+
+export const jenkins_hash24 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 4), seed, 2).map(jenkins_unit))
+})
+
+export const jenkins_hash31 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 1), seed, 3).map(jenkins_unit))
+})
+
+export const jenkins_hash32 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 2), seed, 3).map(jenkins_unit))
+})
+
+export const jenkins_hash33 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 3), seed, 3).map(jenkins_unit))
+})
+
+export const jenkins_hash34 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 4), seed, 3).map(jenkins_unit))
+})
+
+export const jenkins_hash41 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 1), seed, 4).map(jenkins_unit))
+})
+
+export const jenkins_hash42 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 2), seed, 4).map(jenkins_unit))
+})
+
+export const jenkins_hash43 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 3), seed, 4).map(jenkins_unit))
+})
+
+export const jenkins_hash44 = $.Fn(([k, seed = 0]) => {
+  return pack(jenkins_streams(float_keys(k, 4), seed, 4).map(jenkins_unit))
+})
+
+export const jenkins_hash11_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(jenkins_streams(uint_keys(k, 1), seed, 1))
+})
+
+export const jenkins_hash12_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(jenkins_streams(uint_keys(k, 2), seed, 1))
+})
+
+export const jenkins_hash13_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(jenkins_streams(uint_keys(k, 3), seed, 1))
+})
+
+export const jenkins_hash14_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(jenkins_streams(uint_keys(k, 4), seed, 1))
 })
 
 //
 // Wang Hashs, [0,1)
+//  Multi-keys are folded with Jenkins first; extra outputs re-hash the previous one.
+//  For a single key, `seed` offsets the key by multiples of the golden ratio.
 //
 
-const wang_hash = $.Fn(([k]) => {
-  k = $.uint(k)
-  k.assign(k.bitXor(61).bitXor(k.shiftRight(16)))
-  k.mulAssign(9)
-  k.bitXorAssign(k.shiftRight(4))
-  k.mulAssign(0x27d4eb2d)
-  k.bitXorAssign(k.shiftRight(15))
-  return k.toFloat().div(0xffff_ffff + 1).fract()
-})
-
-export const wang_hash11 = $.Fn(([k]) => {
-  k = $.float(k)
-  return wang_hash($.floatBitsToUint(k))
-})
-
-export const wang_hash12 = $.Fn(([k]) => {
-  k = $.vec2(k)
-  return wang_hash(
-    jenkins_fold2(
-      $.floatBitsToUint(k.x),
-      $.floatBitsToUint(k.y)
-    )
-  )
-})
-
-export const wang_hash13 = $.Fn(([k]) => {
-  k = $.vec3(k)
-  return wang_hash(
-    jenkins_fold3(
-      $.floatBitsToUint(k.x),
-      $.floatBitsToUint(k.y),
-      $.floatBitsToUint(k.z)
-    )
-  )
-})
-
-export const wang_hash14 = $.Fn(([k]) => {
-  k = $.vec4(k)
-  return wang_hash(
-    jenkins_fold4(
-      $.floatBitsToUint(k.x),
-      $.floatBitsToUint(k.y),
-      $.floatBitsToUint(k.z),
-      $.floatBitsToUint(k.w)
-    )
-  )
+const wang_mix = $.Fn(([k]) => {
+  const h = $.uint(k).toVar()
+  h.assign(h.bitXor(61).bitXor(h.shiftRight(16)))
+  h.mulAssign(9)
+  h.bitXorAssign(h.shiftRight(4))
+  h.mulAssign(0x27d4eb2d)
+  h.bitXorAssign(h.shiftRight(15))
+  return h
+})
+
+/**
+ * Up to 4 uint Wang hashes of 1 to 4 keys.
+ *
+ * @private
+ */
+const wang_streams = (keys, seed, count) => {
+  const key = keys.length === 1
+    ? keys[0].add($.uint(seed).mul(0x9e37_79b9))
+    : jenkins_fold(keys, seed).z
+  const streams = [wang_mix(key)]
+  while (streams.length < count) streams.push(wang_mix(streams[streams.length - 1]))
+  return streams
+}
+
+export const wang_hash11 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 1), seed, 1).map(unit))
+})
+
+export const wang_hash12 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 2), seed, 1).map(unit))
+})
+
+export const wang_hash13 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 3), seed, 1).map(unit))
+})
+
+export const wang_hash14 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 4), seed, 1).map(unit))
+})
+
+export const wang_hash21 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 1), seed, 2).map(unit))
+})
+
+export const wang_hash22 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 2), seed, 2).map(unit))
+})
+
+export const wang_hash23 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 3), seed, 2).map(unit))
+})
+
+export const wang_hash24 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 4), seed, 2).map(unit))
+})
+
+export const wang_hash31 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 1), seed, 3).map(unit))
+})
+
+export const wang_hash32 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 2), seed, 3).map(unit))
+})
+
+export const wang_hash33 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 3), seed, 3).map(unit))
+})
+
+export const wang_hash34 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 4), seed, 3).map(unit))
+})
+
+export const wang_hash41 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 1), seed, 4).map(unit))
+})
+
+export const wang_hash42 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 2), seed, 4).map(unit))
+})
+
+export const wang_hash43 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 3), seed, 4).map(unit))
+})
+
+export const wang_hash44 = $.Fn(([k, seed = 0]) => {
+  return pack(wang_streams(float_keys(k, 4), seed, 4).map(unit))
+})
+
+export const wang_hash11_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(wang_streams(uint_keys(k, 1), seed, 1))
+})
+
+export const wang_hash12_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(wang_streams(uint_keys(k, 2), seed, 1))
+})
+
+export const wang_hash13_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(wang_streams(uint_keys(k, 3), seed, 1))
+})
+
+export const wang_hash14_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(wang_streams(uint_keys(k, 4), seed, 1))
+})
+
+//
+// PCG Hashs, [0,1)
+//  Ref: Jarzynski and Olano, "Hash Functions for GPU Rendering", JCGT 2020
+//  N keys in, N outputs out. `seed` offsets the keys by multiples of the golden ratio.
+//
+
+const pcg = $.Fn(([v]) => {
+  const state = $.uint(v).mul(747796405).add(2891336453)
+  const word = state.shiftRight(state.shiftRight(28).add(4)).bitXor(state).mul(277803737)
+  return word.shiftRight(22).bitXor(word)
+})
+
+const pcg2d = $.Fn(([v]) => {
+  const h = $.uvec2(v).mul(1664525).add(1013904223).toVar()
+  h.x.addAssign(h.y.mul(1664525))
+  h.y.addAssign(h.x.mul(1664525))
+  h.bitXorAssign(h.shiftRight(16))
+  h.x.addAssign(h.y.mul(1664525))
+  h.y.addAssign(h.x.mul(1664525))
+  h.bitXorAssign(h.shiftRight(16))
+  return h
+})
+
+const pcg3d = $.Fn(([v]) => {
+  const h = $.uvec3(v).mul(1664525).add(1013904223).toVar()
+  h.x.addAssign(h.y.mul(h.z))
+  h.y.addAssign(h.z.mul(h.x))
+  h.z.addAssign(h.x.mul(h.y))
+  h.bitXorAssign(h.shiftRight(16))
+  h.x.addAssign(h.y.mul(h.z))
+  h.y.addAssign(h.z.mul(h.x))
+  h.z.addAssign(h.x.mul(h.y))
+  return h
+})
+
+const pcg4d = $.Fn(([v]) => {
+  const h = $.uvec4(v).mul(1664525).add(1013904223).toVar()
+  h.x.addAssign(h.y.mul(h.w))
+  h.y.addAssign(h.z.mul(h.x))
+  h.z.addAssign(h.x.mul(h.y))
+  h.w.addAssign(h.y.mul(h.z))
+  h.bitXorAssign(h.shiftRight(16))
+  h.x.addAssign(h.y.mul(h.w))
+  h.y.addAssign(h.z.mul(h.x))
+  h.z.addAssign(h.x.mul(h.y))
+  h.w.addAssign(h.y.mul(h.z))
+  return h
+})
+
+/**
+ * PCG hash of N keys into N uints.
+ *
+ * @private
+ */
+const pcg_streams = (keys, seed) => {
+  const offset = $.uint(seed).mul(0x9e37_79b9)
+  const h = [pcg, pcg2d, pcg3d, pcg4d][keys.length - 1](pack_uint(keys.map((key) => key.add(offset))))
+  return keys.length === 1 ? [h] : components.slice(0, keys.length).map((c) => h[c])
+}
+
+export const pcg_hash11 = $.Fn(([k, seed = 0]) => {
+  return pack(pcg_streams(float_keys(k, 1), seed).map(unit))
+})
+
+export const pcg_hash22 = $.Fn(([k, seed = 0]) => {
+  return pack(pcg_streams(float_keys(k, 2), seed).map(unit))
+})
+
+export const pcg_hash33 = $.Fn(([k, seed = 0]) => {
+  return pack(pcg_streams(float_keys(k, 3), seed).map(unit))
+})
+
+export const pcg_hash44 = $.Fn(([k, seed = 0]) => {
+  return pack(pcg_streams(float_keys(k, 4), seed).map(unit))
+})
+
+export const pcg_hash11_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(pcg_streams(uint_keys(k, 1), seed))
+})
+
+export const pcg_hash22_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(pcg_streams(uint_keys(k, 2), seed))
+})
+
+export const pcg_hash33_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(pcg_streams(uint_keys(k, 3), seed))
+})
+
+export const pcg_hash44_u32 = $.Fn(([k, seed = 0]) => {
+  return pack_uint(pcg_streams(uint_keys(k, 4), seed))
+})
+
+//
+// xxHash32 Hashs, [0,1)
+//  Ref: https://github.com/Cyan4973/xxHash/blob/dev/doc/xxhash_spec.md
+//  Keys are hashed as a little-endian sequence of 32-bit words; `seed` is the xxHash seed.
+//
+
+const XXH_PRIME32_1 = 0x9e37_79b1
+const XXH_PRIME32_2 = 0x85eb_ca77
+const XXH_PRIME32_3 = 0xc2b2_ae3d
+const XXH_PRIME32_4 = 0x27d4_eb2f
+const XXH_PRIME32_5 = 0x1656_67b1
+
+const xxhash32_avalanche = $.Fn(([x]) => {
+  const h = $.uint(x).toVar()
+  h.bitXorAssign(h.shiftRight(15))
+  h.mulAssign(XXH_PRIME32_2)
+  h.bitXorAssign(h.shiftRight(13))
+  h.mulAssign(XXH_PRIME32_3)
+  h.bitXorAssign(h.shiftRight(16))
+  return h
+})
+
+/**
+ * xxHash32 of 1 to 4 uint keys.
+ *
+ * @private
+ */
+const xxhash32 = (keys, seed) => {
+  seed = $.uint(seed)
+  if (keys.length === 4) {
+    // 16 bytes fill one stripe. Lane seeds are pre-wrapped: `seed + P1 + P2` and `seed - P1`.
+    const lanes = [seed.add(0x2423_4428), seed.add(XXH_PRIME32_2), seed, seed.add(0x61c8_864f)]
+      .map((v, i) => rot(v.add(keys[i].mul(XXH_PRIME32_2)), 13).mul(XXH_PRIME32_1))
+    const h = rot(lanes[0], 1).add(rot(lanes[1], 7)).add(rot(lanes[2], 12)).add(rot(lanes[3], 18)).add(16)
+    return xxhash32_avalanche(h)
+  }
+  const h = seed.add(XXH_PRIME32_5).add(keys.length * 4).toVar()
+  for (const key of keys) {
+    h.assign(rot(h.add(key.mul(XXH_PRIME32_3)), 17).mul(XXH_PRIME32_4))
+  }
+  return xxhash32_avalanche(h)
+}
+
+export const xxhash32_hash11 = $.Fn(([k, seed = 0]) => {
+  return unit(xxhash32(float_keys(k, 1), seed))
+})
+
+export const xxhash32_hash12 = $.Fn(([k, seed = 0]) => {
+  return unit(xxhash32(float_keys(k, 2), seed))
+})
+
+export const xxhash32_hash13 = $.Fn(([k, seed = 0]) => {
+  return unit(xxhash32(float_keys(k, 3), seed))
+})
+
+export const xxhash32_hash14 = $.Fn(([k, seed = 0]) => {
+  return unit(xxhash32(float_keys(k, 4), seed))
+})
+
+export const xxhash32_hash11_u32 = $.Fn(([k, seed = 0]) => {
+  return xxhash32(uint_keys(k, 1), seed)
+})
+
+export const xxhash32_hash12_u32 = $.Fn(([k, seed = 0]) => {
+  return xxhash32(uint_keys(k, 2), seed)
+})
+
+export const xxhash32_hash13_u32 = $.Fn(([k, seed = 0]) => {
+  return xxhash32(uint_keys(k, 3), seed)
+})
+
+export const xxhash32_hash14_u32 = $.Fn(([k, seed = 0]) => {
+  return xxhash32(uint_keys(k, 4), seed)
 })
@@ -1,5 +1,19 @@
+export * from './bake.js'
+export * from './blend.js'
 export * from './color.js'
+export * from './colormap.js'
+export * from './colorspace.js'
+export * from './dither.js'
+export * from './dual.js'
+export * from './fractal.js'
+export * from './gradient.js'
 export * from './hash.js'
 export * from './map.js'
+export * from './noise.js'
 export * from './normal.js'
+export * from './normal_blend.js'
+export * from './parallax.js'
+export * from './random.js'
+export * from './sequence.js'
+export * from './triplanar.js'
 export * from './compute.js'
\ No newline at end of file
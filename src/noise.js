@@ -0,0 +1,600 @@
+import { TSL as $ } from 'three/webgpu'
+import { jenkins_hash12, jenkins_hash13, jenkins_hash14 } from './hash.js'
+
+//
+// Noise
+//  - Lattice points are hashed with the Jenkins hashes, so a given seed
+//    gives the same field on every backend.
+//  - Options shared by all noises:
+//    - `seed`: integer-valued float (or uniform) selecting an independent field.
+//    - `period`: lattice period (float or vecN) for tileable noise, `null` for none.
+//      Integer periods tile exactly; the noise repeats every `period` units.
+//  - With `derivatives: true`, value, Perlin and simplex noise return
+//    `vec(N+1)(value, d/dx, d/dy, ...)` instead of a float. In 4D, which would
+//    need a vec5, they return `{ value, gradient }` with a vec4 gradient.
+//
+
+const axes = ['x', 'y', 'z', 'w']
+
+/**
+ * Build a float or vecN node from components.
+ *
+ * @param {*} components - Component nodes, length 1 to 4.
+ * @returns {*} Float or vecN node.
+ * @private
+ */
+const from_components = (components) => {
+  return components.length === 1 ? $.float(components[0]) : $[`vec${components.length}`](...components)
+}
+
+/**
+ * Split a float or vecN node (or a scalar to splat) into components.
+ *
+ * @param {*} v - Input node or number.
+ * @param {number} dims - Number of components.
+ * @returns {*} Component nodes.
+ * @private
+ */
+const to_components = (v, dims) => {
+  if (dims === 1) return [$.float(v)]
+  v = $[`vec${dims}`](v)
+  return axes.slice(0, dims).map((axis) => v[axis])
+}
+
+/**
+ * Noise value and derivatives in the output layout of `derivatives: true`.
+ *
+ * @param {*} value - Noise value (float).
+ * @param {*} gradient - Derivative components, length 1 to 4.
+ * @returns {*} vec(N+1)(value, gradient), or `{ value, gradient }` in 4D.
+ * @private
+ */
+const with_derivatives = (value, gradient) => {
+  return gradient.length === 4
+    ? { value, gradient: from_components(gradient) }
+    : from_components([value, ...gradient])
+}
+
+/**
+ * Hash key for a seed and channel, so one lattice gives several independent values.
+ *
+ * @param {*} seed - Seed (float).
+ * @param {number} channel - Channel index.
+ * @returns {*} Key (float).
+ * @private
+ */
+const seed_key = (seed, channel) => jenkins_hash12($.vec2(seed, channel))
+
+/**
+ * Hash an integer lattice point with a seed key.
+ *
+ * @param {*} cell - Lattice point components (floats with integer values).
+ * @param {*} key - Key from {@link seed_key}.
+ * @returns {*} Hash (float) in [0,1].
+ * @private
+ */
+const lattice_hash = (cell, key) => {
+  switch (cell.length) {
+    case 1: return jenkins_hash12($.vec2(cell[0], key))
+    case 2: return jenkins_hash13($.vec3(cell[0], cell[1], key))
+    case 3: return jenkins_hash14($.vec4(cell[0], cell[1], cell[2], key))
+    default: return jenkins_hash14($.vec4(cell[0], cell[1], cell[2], jenkins_hash12($.vec2(cell[3], key))))
+  }
+}
+
+/**
+ * Wrap lattice point components by a period.
+ *
+ * @param {*} cell - Lattice point components.
+ * @param {*} period - Period components, or `null`.
+ * @returns {*} Wrapped components.
+ * @private
+ */
+const wrap_cell = (cell, period) => {
+  return period === null ? cell : cell.map((c, k) => c.mod(period[k]))
+}
+
+/**
+ * Pseudo-random gradient for a lattice point.
+ *
+ * 1D: slope in [-1,1]; 2D: unit vector; 3D/4D: hypercube edge midpoints
+ * (one zero component, the others ±1), as in Perlin's improved noise.
+ *
+ * @param {*} h - Lattice hash (float) in [0,1].
+ * @param {number} dims - Number of dimensions.
+ * @returns {*} Gradient components.
+ * @private
+ */
+const lattice_gradient = (h, dims) => {
+  if (dims === 1) return [h.mul(2).sub(1)]
+  if (dims === 2) {
+    const angle = h.mul(2 * Math.PI)
+    return [angle.cos(), angle.sin()]
+  }
+  const index = $.uint(h.mul(dims * 2 ** dims))
+  const zero = index.mod(dims)
+  const signs = index.div(dims)
+  return axes.slice(0, dims).map((_, k) => $.select(
+    zero.equal(k),
+    $.float(0),
+    $.select(signs.shiftRight(k).bitAnd(1).equal(1), $.float(-1), $.float(1))
+  ))
+}
+
+/**
+ * Linear interpolation that keeps the literal `0` for all-zero gradients.
+ *
+ * @param {*} a - Start value, or `0`.
+ * @param {*} b - End value, or `0`.
+ * @param {*} t - Interpolation factor.
+ * @returns {*} Interpolated value, or `0`.
+ * @private
+ */
+const mix_or_zero = (a, b, t) => (a === 0 && b === 0 ? 0 : $.mix($.float(a), $.float(b), t))
+
+/**
+ * Interpolate lattice corners with a quintic fade, tracking derivatives.
+ *
+ * Corner `c` sits at offset `(c >> k) & 1` along axis `k`; each corner has
+ * a value and a gradient (components, or `0`).
+ *
+ * @param {*} p - Position (float or vecN).
+ * @param {number} dims - Number of dimensions.
+ * @param {Object} options - Noise options.
+ * @param {*} corner - `(hash, offset) => { value, gradient }` for a corner,
+ *   given its lattice hash and the position relative to it.
+ * @returns {*} Noise value, or value and derivatives.
+ * @private
+ */
+const lattice_noise = (p, dims, { seed = 0, period = null, derivatives = false } = {}, corner) => {
+  const x = to_components(p, dims)
+  const i = x.map((c) => c.floor())
+  const f = x.map((c, k) => c.sub(i[k]))
+  const u = f.map((c) => c.mul(c).mul(c).mul(c.mul(c.mul(6).sub(15)).add(10)))
+  const du = f.map((c) => c.mul(c).mul(c.sub(1)).mul(c.sub(1)).mul(30))
+  const key = seed_key(seed, 0)
+  const wrap = period === null ? null : to_components(period, dims)
+
+  let layer = []
+  for (let c = 0; c < 2 ** dims; ++c) {
+    const offset = i.map((_, k) => (c >> k) & 1)
+    const cell = wrap_cell(i.map((ik, k) => ik.add(offset[k])), wrap)
+    layer.push(corner(lattice_hash(cell, key), f.map((fk, k) => fk.sub(offset[k]))))
+  }
+
+  // Reduce the highest axis first; its upper corners are the second half.
+  for (let k = dims - 1; k >= 0; --k) {
+    const half = layer.length / 2
+    const next = []
+    for (let j = 0; j < half; ++j) {
+      const a = layer[j]
+      const b = layer[j + half]
+      const value = $.mix(a.value, b.value, u[k])
+      const gradient = !derivatives
+        ? []
+        : a.gradient.map((g, m) => {
+          const mixed = mix_or_zero(g, b.gradient[m], u[k])
+          return m === k ? b.value.sub(a.value).mul(du[k]).add(mixed) : mixed
+        })
+      next.push({ value, gradient })
+    }
+    layer = next
+  }
+
+  const { value, gradient } = layer[0]
+  return derivatives ? with_derivatives(value, gradient.map((g) => $.float(g))) : value
+}
+
+/**
+ * Linear combination of components by a row of constant weights.
+ *
+ * @param {number[]} row - Weights; zero weights are skipped.
+ * @param {*} v - Components.
+ * @returns {*} Combined value (float).
+ * @private
+ */
+const combine = (row, v) => {
+  return row
+    .map((w, k) => (w === 0 ? null : w === 1 ? v[k] : v[k].mul(w)))
+    .filter((term) => term !== null)
+    .reduce((sum, term) => sum.add(term))
+}
+
+/**
+ * Tileable simplex lattices for periodic simplex noise, per dimension.
+ *
+ * Lattice coordinates are `u = M x`, vertices are `x = Mi u` with `Mi`
+ * stored as the integer matrix `D Mi`. Unlike the classic skewed lattice
+ * these repeat along the axes: 2D is the psrdnoise lattice (even y period),
+ * 3D the psrdnoise lattice `M = J - I`, 4D its extension.
+ *
+ * Ref: Gustavson and McEwan, "Tiling simplex noise and flow noise in two and three dimensions"
+ *
+ * @private
+ */
+const tileable_lattices = [
+  { M: [[1]], Mi: [[1]], D: 1, r2: 1, scale: 3.16 },
+  { M: [[1, 0.5], [0, 1]], Mi: [[2, -1], [0, 2]], D: 2, r2: 0.8, scale: 11 },
+  { M: [[0, 1, 1], [1, 0, 1], [1, 1, 0]], Mi: [[-1, 1, 1], [1, -1, 1], [1, 1, -1]], D: 2, r2: 0.6, scale: 32 },
+  {
+    M: [[0, 1, 1, 1], [1, 0, 1, 1], [1, 1, 0, 1], [1, 1, 1, 0]],
+    Mi: [[-2, 1, 1, 1], [1, -2, 1, 1], [1, 1, -2, 1], [1, 1, 1, -2]],
+    D: 3,
+    r2: 0.4,
+    scale: 144
+  }
+]
+
+/**
+ * Simplex noise in 1D to 4D.
+ *
+ * Without a period this is the classic skewed lattice; with one, the
+ * lattice from {@link tileable_lattices}, with vertices wrapped by the
+ * period before hashing.
+ *
+ * Ref: Gustavson, "Simplex noise demystified"
+ *
+ * @param {*} p - Position (float or vecN).
+ * @param {number} dims - Number of dimensions.
+ * @param {Object} options - Noise options.
+ * @returns {*} Noise value, or value and derivatives.
+ * @private
+ */
+const simplex_noise = (p, dims, { seed = 0, period = null, derivatives = false } = {}) => {
+  const key = seed_key(seed, 0)
+  const x = to_components(p, dims)
+  const lattice = period === null ? null : tileable_lattices[dims - 1]
+  const scale = lattice === null ? [3.16, 99.2, 32, 27][dims - 1] : lattice.scale
+  const r2 = lattice === null ? [1, 0.5, 0.6, 0.6][dims - 1] : lattice.r2
+
+  // Position within the simplex lattice cell, and the vertex offsets from
+  // its origin as a function of the offset in lattice coordinates.
+  let i, f, vertex
+  if (lattice === null) {
+    // Skew into the simplex lattice.
+    const skew = dims === 1 ? 0 : (Math.sqrt(dims + 1) - 1) / dims
+    const unskew = dims === 1 ? 0 : (1 - 1 / Math.sqrt(dims + 1)) / dims
+    const skewed = x.reduce((sum, c) => sum.add(c)).mul(skew)
+    i = x.map((c) => c.add(skewed).floor())
+    const unskewed = i.reduce((sum, c) => sum.add(c)).mul(unskew)
+    const x0 = x.map((c, k) => c.sub(i[k].sub(unskewed)))
+    f = x0
+    vertex = (offset, m) => {
+      const cell = i.map((c, k) => c.add(offset[k]))
+      return { xm: x0.map((c, k) => c.sub(offset[k]).add(m * unskew)), cell }
+    }
+  } else {
+    // Wrap each vertex into [0,period) in position space, then map it back
+    // to lattice coordinates: `cell - M (period * n)` for the wrap count `n`.
+    // `D Mi cell` is exact in floats, so the wrap count is too.
+    const { M, Mi, D } = lattice
+    const wrap = to_components(period, dims)
+    const u = M.map((row) => combine(row, x))
+    i = u.map((c) => c.floor())
+    f = u.map((c, k) => c.sub(i[k]))
+    vertex = (offset) => {
+      const cell = i.map((c, k) => c.add(offset[k]))
+      const scaled = Mi.map((row) => combine(row, cell))
+      const xm = x.map((c, k) => c.sub(scaled[k].div(D)))
+      const shift = scaled.map((s, k) => s.div(wrap[k].mul(D)).floor().mul(wrap[k]))
+      return { xm, cell: cell.map((c, k) => c.sub(combine(M[k], shift))) }
+    }
+  }
+
+  // Order the axes to find the simplex.
+  const rank = f.map(() => $.float(0))
+  for (let j = 0; j < dims; ++j) {
+    for (let k = j + 1; k < dims; ++k) {
+      const jk = $.step(f[k], f[j])
+      rank[j] = rank[j].add(jk)
+      rank[k] = rank[k].add(jk.oneMinus())
+    }
+  }
+
+  let value = $.float(0)
+  let gradient = x.map(() => $.float(0))
+  for (let m = 0; m <= dims; ++m) {
+    const offset = rank.map((r) => $.step(dims - m, r))
+    const { xm, cell } = vertex(offset, m)
+    const g = lattice_gradient(lattice_hash(cell, key), dims)
+    const t = $.float(r2).sub(xm.reduce((sum, c) => sum.add(c.mul(c)), $.float(0))).max(0)
+    const t2 = t.mul(t)
+    const t4 = t2.mul(t2)
+    const gx = g.reduce((sum, gk, k) => sum.add(xm[k].mul(gk)), $.float(0))
+    value = value.add(t4.mul(gx))
+    if (derivatives) {
+      // d/dx t^4 (g.x) = t^4 g - 8 t^3 (g.x) x
+      const t3gx = t2.mul(t).mul(gx).mul(8)
+      gradient = gradient.map((d, k) => d.add(t4.mul(g[k])).sub(t3gx.mul(xm[k])))
+    }
+  }
+
+  return derivatives
+    ? with_derivatives(value.mul(scale), gradient.map((d) => d.mul(scale)))
+    : value.mul(scale)
+}
+
+/**
+ * Worley (cellular) noise in 1D to 4D over the 3^N neighborhood.
+ *
+ * @param {*} p - Position (float or vecN).
+ * @param {number} dims - Number of dimensions.
+ * @param {Object} options - Noise options.
+ * @returns {*} vec3(F1, F2, cell id).
+ * @private
+ */
+const worley_noise = (p, dims, { seed = 0, period = null, jitter = 1 } = {}) => $.Fn(() => {
+  const x = to_components(p, dims)
+  const i = x.map((c) => c.floor())
+  const f = from_components(x.map((c, k) => c.sub(i[k])))
+  const keys = Array.from({ length: dims + 1 }, (_, channel) => seed_key(seed, channel))
+  const wrap = period === null ? null : to_components(period, dims)
+  const f1 = $.float(1e9).toVar()
+  const f2 = $.float(1e9).toVar()
+  const id = $.float(0).toVar()
+
+  $.Loop({ start: 0, end: 3 ** dims, type: 'int' }, ({ i: n }) => {
+    const offset = i.map((_, k) => $.float(n.div(3 ** k).mod(3)).sub(1))
+    const cell = wrap_cell(i.map((ik, k) => ik.add(offset[k])), wrap)
+    const point = from_components(offset.map((o, k) => lattice_hash(cell, keys[k]).sub(0.5).mul(jitter).add(0.5).add(o)))
+    const distance = dims === 1 ? point.sub(f).abs() : point.sub(f).length()
+    $.If(distance.lessThan(f1), () => {
+      f2.assign(f1)
+      f1.assign(distance)
+      id.assign(lattice_hash(cell, keys[dims]))
+    }).ElseIf(distance.lessThan(f2), () => {
+      f2.assign(distance)
+    })
+  })
+
+  return $.vec3(f1, f2, id)
+})()
+
+//
+// Value noise
+//  Hashed lattice values, quintic interpolation. Range [-1,1].
+//
+
+const value_corner = (h, f) => ({ value: h.mul(2).sub(1), gradient: f.map(() => 0) })
+
+/**
+ * 1D value noise.
+ *
+ * @param {*} p - Position (float).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise.
+ * @param {boolean} [options.derivatives=false] - Return `vec2(value, d/dx)`.
+ * @returns {*} Noise (float) in [-1,1], or value and derivatives.
+ */
+export const value_noise1d = (p, options = {}) => lattice_noise(p, 1, options, value_corner)
+
+/**
+ * 2D value noise.
+ *
+ * @param {*} p - Position (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec2).
+ * @param {boolean} [options.derivatives=false] - Return `vec3(value, d/dx, d/dy)`.
+ * @returns {*} Noise (float) in [-1,1], or value and derivatives.
+ *
+ * @example
+ * ```
+ * mat.colorNode = vec3(value_noise2d(uv().mul(8), { period: 8 }).mul(0.5).add(0.5))
+ * ```
+ */
+export const value_noise2d = (p, options = {}) => lattice_noise(p, 2, options, value_corner)
+
+/**
+ * 3D value noise.
+ *
+ * @param {*} p - Position (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec3).
+ * @param {boolean} [options.derivatives=false] - Return `vec4(value, d/dx, d/dy, d/dz)`.
+ * @returns {*} Noise (float) in [-1,1], or value and derivatives.
+ */
+export const value_noise3d = (p, options = {}) => lattice_noise(p, 3, options, value_corner)
+
+/**
+ * 4D value noise.
+ *
+ * @param {*} p - Position (vec4).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec4).
+ * @param {boolean} [options.derivatives=false] - Return `{ value, gradient }`, the gradient a vec4.
+ * @returns {*} Noise (float) in [-1,1], or value and derivatives.
+ */
+export const value_noise4d = (p, options = {}) => lattice_noise(p, 4, options, value_corner)
+
+//
+// Perlin (gradient) noise
+//  Ref: Perlin, "Improving Noise"
+//  Range is approximately [-1,1].
+//
+
+const perlin_corner = (dims, scale) => (h, f) => {
+  const gradient = lattice_gradient(h, dims).map((g) => $.float(g).mul(scale))
+  const value = gradient.reduce((sum, g, k) => sum.add(g.mul(f[k])), $.float(0))
+  return { value, gradient }
+}
+
+/**
+ * 1D Perlin noise.
+ *
+ * @param {*} p - Position (float).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise.
+ * @param {boolean} [options.derivatives=false] - Return `vec2(value, d/dx)`.
+ * @returns {*} Noise (float), or value and derivatives.
+ */
+export const perlin_noise1d = (p, options = {}) => lattice_noise(p, 1, options, perlin_corner(1, 2))
+
+/**
+ * 2D Perlin noise.
+ *
+ * @param {*} p - Position (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec2).
+ * @param {boolean} [options.derivatives=false] - Return `vec3(value, d/dx, d/dy)`.
+ * @returns {*} Noise (float), or value and derivatives.
+ *
+ * @example
+ * ```
+ * const n = perlin_noise2d(uv().mul(4), { derivatives: true })
+ * mat.normalNode = normalize(vec3(n.yz.negate().mul(0.1), 1))
+ * ```
+ */
+export const perlin_noise2d = (p, options = {}) => lattice_noise(p, 2, options, perlin_corner(2, Math.SQRT2))
+
+/**
+ * 3D Perlin noise.
+ *
+ * @param {*} p - Position (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec3).
+ * @param {boolean} [options.derivatives=false] - Return `vec4(value, d/dx, d/dy, d/dz)`.
+ * @returns {*} Noise (float), or value and derivatives.
+ */
+export const perlin_noise3d = (p, options = {}) => lattice_noise(p, 3, options, perlin_corner(3, 1))
+
+/**
+ * 4D Perlin noise, e.g. 3D noise animated over time or 2D noise tiled on a torus.
+ *
+ * @param {*} p - Position (vec4).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec4).
+ * @param {boolean} [options.derivatives=false] - Return `{ value, gradient }`, the gradient a vec4.
+ * @returns {*} Noise (float), or value and derivatives.
+ */
+export const perlin_noise4d = (p, options = {}) => lattice_noise(p, 4, options, perlin_corner(4, 1))
+
+//
+// Simplex noise
+//  Fewer lattice points than Perlin noise in higher dimensions, no axis-aligned artifacts.
+//  Range is approximately [-1,1].
+//  - With a `period`, the noise is built on a lattice that repeats along the
+//    axes, so the periodic field differs from the non-periodic one for the
+//    same seed. In 2D the y period must be even.
+//
+
+/**
+ * 1D simplex noise.
+ *
+ * @param {*} p - Position (float).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise.
+ * @param {boolean} [options.derivatives=false] - Return `vec2(value, d/dx)`.
+ * @returns {*} Noise (float), or value and derivatives.
+ */
+export const simplex_noise1d = (p, options = {}) => simplex_noise(p, 1, options)
+
+/**
+ * 2D simplex noise.
+ *
+ * @param {*} p - Position (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec2); the y period must be even.
+ * @param {boolean} [options.derivatives=false] - Return `vec3(value, d/dx, d/dy)`.
+ * @returns {*} Noise (float), or value and derivatives.
+ *
+ * @example
+ * ```
+ * mat.colorNode = color_ramp(stops, simplex_noise2d(uv().mul(6), { seed: 7 }).mul(0.5).add(0.5))
+ * ```
+ */
+export const simplex_noise2d = (p, options = {}) => simplex_noise(p, 2, options)
+
+/**
+ * 3D simplex noise.
+ *
+ * @param {*} p - Position (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec3).
+ * @param {boolean} [options.derivatives=false] - Return `vec4(value, d/dx, d/dy, d/dz)`.
+ * @returns {*} Noise (float), or value and derivatives.
+ */
+export const simplex_noise3d = (p, options = {}) => simplex_noise(p, 3, options)
+
+/**
+ * 4D simplex noise.
+ *
+ * @param {*} p - Position (vec4).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec4).
+ * @param {boolean} [options.derivatives=false] - Return `{ value, gradient }`, the gradient a vec4.
+ * @returns {*} Noise (float), or value and derivatives.
+ */
+export const simplex_noise4d = (p, options = {}) => simplex_noise(p, 4, options)
+
+//
+// Worley (cellular) noise
+//  Ref: Worley, "A Cellular Texture Basis Function"
+//  Returns vec3(F1, F2, cell id): distances to the nearest and second-nearest
+//  feature points, and a [0,1] hash identifying the nearest point's cell.
+//
+
+/**
+ * 1D Worley noise.
+ *
+ * @param {*} p - Position (float).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise.
+ * @param {*} [options.jitter=1] - Feature point randomness, 0 gives a regular grid.
+ * @returns {*} vec3(F1, F2, cell id).
+ */
+export const worley_noise1d = (p, options = {}) => worley_noise(p, 1, options)
+
+/**
+ * 2D Worley noise.
+ *
+ * @param {*} p - Position (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec2).
+ * @param {*} [options.jitter=1] - Feature point randomness, 0 gives a regular grid.
+ * @returns {*} vec3(F1, F2, cell id).
+ *
+ * @example
+ * ```
+ * const cells = worley_noise2d(uv().mul(8))
+ * mat.colorNode = colormap_viridis(cells.z).mul(cells.y.sub(cells.x).smoothstep(0, 0.05))
+ * ```
+ */
+export const worley_noise2d = (p, options = {}) => worley_noise(p, 2, options)
+
+/**
+ * 3D Worley noise.
+ *
+ * @param {*} p - Position (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec3).
+ * @param {*} [options.jitter=1] - Feature point randomness, 0 gives a regular grid.
+ * @returns {*} vec3(F1, F2, cell id).
+ */
+export const worley_noise3d = (p, options = {}) => worley_noise(p, 3, options)
+
+/**
+ * 4D Worley noise. Searches 81 cells; prefer 3D where possible.
+ *
+ * @param {*} p - Position (vec4).
+ * @param {Object} [options]
+ * @param {*} [options.seed=0] - Seed.
+ * @param {*} [options.period=null] - Period for tileable noise (float or vec4).
+ * @param {*} [options.jitter=1] - Feature point randomness, 0 gives a regular grid.
+ * @returns {*} vec3(F1, F2, cell id).
+ */
+export const worley_noise4d = (p, options = {}) => worley_noise(p, 4, options)
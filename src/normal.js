@@ -1,4 +1,6 @@
 import { TSL as $ } from 'three/webgpu'
+import { dual_variable, is_dual } from './dual.js'
+import { triplanar_normal } from './triplanar.js'
 
 /**
  * Computes a perturbed surface normal in view space using a 2D scalar displacement field.
@@ -28,14 +30,14 @@ import { TSL as $ } from 'three/webgpu'
  * @param {*} f - Scalar field function that takes a vec2 (e.g. UV) and returns a float value (height).
  * @param {*} k - The 2D coordinate at which to evaluate the bump gradient.
  * @param {*} [strength=1.0] - Multiplier for gradient magnitude (controls bump strength).
- * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @param {*} [gradient=0.001] - Gradient strategy (e.g. {@link central_difference_gradient}),
+ *   or a small offset step for forward differences.
  * @returns {*} View-space perturbed normal vector suitable for shading.
  */
-export const bump_field2d = (f, k, strength = 1.0, eps = 0.001) => {
+export const bump_field2d = (f, k, strength = 1.0, gradient = 0.001) => {
   k = $.vec2(k)
   strength = $.float(strength)
-  eps = $.float(eps)
-  const localspace_normal = bump_field2d_localspace(f, k, strength, eps)
+  const localspace_normal = bump_field2d_localspace(f, k, strength, gradient)
   const viewspace_normal = $.transformNormalToView(localspace_normal)
   return viewspace_normal
 }
@@ -50,14 +52,14 @@ export const bump_field2d = (f, k, strength = 1.0, eps = 0.001) => {
  * @param {*} f - Scalar field function that takes a vec2 (e.g. UV) and returns a float value (height).
  * @param {*} k - The 2D coordinate at which to evaluate the bump gradient.
  * @param {*} [strength=1.0] - Multiplier for gradient magnitude (controls bump strength).
- * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @param {*} [gradient=0.001] - Gradient strategy (e.g. {@link central_difference_gradient}),
+ *   or a small offset step for forward differences.
  * @returns {*} Local-space perturbed normal vector, adjusted by face orientation.
  */
-export const bump_field2d_localspace = (f, k, strength = 1.0, eps = 0.001) => {
+export const bump_field2d_localspace = (f, k, strength = 1.0, gradient = 0.001) => {
   k = $.vec2(k)
   strength = $.float(strength)
-  eps = $.float(eps)
-  const df = forward_difference_gradient2d(f, k, eps).mul(strength)
+  const df = to_gradient_strategy(gradient)(f, k, 2).mul(strength)
   const dpds = $.tangentLocal.add($.normalLocal.mul(df.s))
   const dpdt = $.bitangentLocal.add($.normalLocal.mul(df.t))
   const localspace_normal = dpds.cross(dpdt).mul($.faceDirection)
@@ -109,14 +111,14 @@ export const forward_difference_gradient2d = (f, k, eps = 0.001) => {
  * @param {*} f - Scalar field function that takes a vec3 and returns a float value (height).
  * @param {*} k - The 3D coordinate at which to evaluate the bump gradient.
  * @param {*} [strength=1.0] - Multiplier for gradient magnitude (controls bump strength).
- * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @param {*} [gradient=0.001] - Gradient strategy (e.g. {@link central_difference_gradient}),
+ *   or a small offset step for forward differences.
  * @returns {*} View-space perturbed normal vector suitable for shading.
  */
-export const bump_field3d = (f, k, strength = 1.0, eps = 0.001) => {
+export const bump_field3d = (f, k, strength = 1.0, gradient = 0.001) => {
   k = $.vec3(k)
   strength = $.float(strength)
-  eps = $.float(eps)
-  const localspace_normal = bump_field3d_localspace(f, k, strength, eps)
+  const localspace_normal = bump_field3d_localspace(f, k, strength, gradient)
   const viewspace_normal = $.transformNormalToView(localspace_normal)
   return viewspace_normal
 }
@@ -130,15 +132,15 @@ export const bump_field3d = (f, k, strength = 1.0, eps = 0.001) => {
  * @param {*} f - Scalar field function that takes a vec3 and returns a float value (height).
  * @param {*} k - The 3D coordinate at which to evaluate the bump gradient.
  * @param {*} [strength=1.0] - Multiplier for gradient magnitude (controls bump strength).
- * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @param {*} [gradient=0.001] - Gradient strategy (e.g. {@link central_difference_gradient}),
+ *   or a small offset step for forward differences.
  * @returns {*} Local-space perturbed normal vector.
  */
-export const bump_field3d_localspace = (f, k, strength = 1.0, eps = 0.001) => {
+export const bump_field3d_localspace = (f, k, strength = 1.0, gradient = 0.001) => {
   k = $.vec3(k)
   strength = $.float(strength)
-  eps = $.float(eps)
   const n = $.normalLocal.normalize()
-  const grad3 = forward_difference_gradient3d(f, k, eps)
+  const grad3 = to_gradient_strategy(gradient)(f, k, 3)
   const grad_tangent = grad3.sub(n.mul(grad3.dot(n)))
   const localspace_normal = n.sub(grad_tangent.mul(strength))
   return localspace_normal.normalize()
@@ -163,4 +165,263 @@ export const forward_difference_gradient3d = (f, k, eps = 0.001) => {
   const dfdy = f(k.add($.vec3(0.0, eps, 0.0))).sub(h).div(eps)
   const dfdz = f(k.add($.vec3(0.0, 0.0, eps))).sub(h).div(eps)
   return $.vec3(dfdx, dfdy, dfdz)
+}
+
+/**
+ * Computes a perturbed surface normal in view space using a 2D scalar displacement
+ * field with triplanar projection, for meshes without UVs or tangents.
+ *
+ * This function wraps {@link bump_field_triplanar_localspace}.
+ *
+ * @example
+ * ```js
+ * const f = fbm((k) => perlin_noise2d(k), { octaves: 4 })
+ * mat.normalNode = bump_field_triplanar(f, positionLocal.mul(4), 0.2, central_difference_gradient())
+ * ```
+ *
+ * @param {*} f - Scalar field function that takes a vec2 (plane coordinates) and returns a float value (height).
+ * @param {*} [k=positionLocal] - The 3D coordinate projected onto the planes.
+ * @param {*} [strength=1.0] - Multiplier for gradient magnitude (controls bump strength).
+ * @param {*} [gradient=0.001] - Gradient strategy (e.g. {@link central_difference_gradient}),
+ *   or a small offset step for forward differences.
+ * @param {Object} [options] - Triplanar options, see {@link bump_field_triplanar_localspace}.
+ *   The result is transformed from local to view space, so `options.normal` must be a
+ *   local-space normal; for other spaces, transform the `_localspace` result yourself.
+ * @returns {*} View-space perturbed normal vector suitable for shading.
+ */
+export const bump_field_triplanar = (f, k = $.positionLocal, strength = 1.0, gradient = 0.001, options = {}) => {
+  const localspace_normal = bump_field_triplanar_localspace(f, k, strength, gradient, options)
+  const viewspace_normal = $.transformNormalToView(localspace_normal)
+  return viewspace_normal
+}
+
+/**
+ * Computes a perturbed surface normal in local space using a 2D scalar displacement
+ * field with triplanar projection.
+ *
+ * The gradient of the field on each axis plane gives a tangent-space normal,
+ * which is swizzled onto the plane and blended by {@link triplanar_normal}.
+ *
+ * @param {*} f - Scalar field function that takes a vec2 (plane coordinates) and returns a float value (height).
+ * @param {*} [k=positionLocal] - The 3D coordinate projected onto the planes.
+ * @param {*} [strength=1.0] - Multiplier for gradient magnitude (controls bump strength).
+ * @param {*} [gradient=0.001] - Gradient strategy (e.g. {@link central_difference_gradient}),
+ *   or a small offset step for forward differences.
+ * @param {Object} [options] - Triplanar options, see {@link triplanar_normal}.
+ * @param {*} [options.normal=normalLocal] - Surface normal (vec3), in the same space as `k`.
+ * @param {*} [options.sharpness=4] - Blend sharpness.
+ * @param {string} [options.blend='whiteout'] - Per-plane blend: `'whiteout'`, `'udn'` or `'rnm'`.
+ * @returns {*} Perturbed normal vector, normalized, in the space of `options.normal`.
+ */
+export const bump_field_triplanar_localspace = (f, k = $.positionLocal, strength = 1.0, gradient = 0.001, { normal = $.normalLocal, sharpness = 4, blend = 'whiteout' } = {}) => {
+  strength = $.float(strength)
+  gradient = to_gradient_strategy(gradient)
+  const tangent_normal = (uv) => $.vec3(gradient(f, uv, 2).mul(strength).negate(), 1).normalize()
+  return triplanar_normal(tangent_normal, { position: k, normal, sharpness, blend })
+}
+
+/**
+ * Approximates the 2D gradient of a scalar field using central differences.
+ *
+ * Unbiased to second order, at the cost of 4 field evaluations.
+ *
+ * @param {*} f - Scalar field function that takes a vec2 and returns a float value.
+ * @param {*} k - The 2D coordinate at which to evaluate the gradient.
+ * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @returns {*} The estimated gradient vector (df/dx, df/dy) at the given point.
+ */
+export const central_difference_gradient2d = (f, k, eps = 0.001) => {
+  k = $.vec2(k)
+  eps = $.float(eps)
+  const dx = $.vec2(eps, 0)
+  const dy = $.vec2(0, eps)
+  const dfdx = f(k.add(dx)).sub(f(k.sub(dx))).div(eps.mul(2))
+  const dfdy = f(k.add(dy)).sub(f(k.sub(dy))).div(eps.mul(2))
+  return $.vec2(dfdx, dfdy)
+}
+
+/**
+ * Approximates the 3D gradient of a scalar field using central differences.
+ *
+ * Unbiased to second order, at the cost of 6 field evaluations.
+ *
+ * @param {*} f - Scalar field function that takes a vec3 and returns a float value.
+ * @param {*} k - The 3D coordinate at which to evaluate the gradient.
+ * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @returns {*} The estimated gradient vector (df/dx, df/dy, df/dz) at the given point.
+ */
+export const central_difference_gradient3d = (f, k, eps = 0.001) => {
+  k = $.vec3(k)
+  eps = $.float(eps)
+  const dx = $.vec3(eps, 0.0, 0.0)
+  const dy = $.vec3(0.0, eps, 0.0)
+  const dz = $.vec3(0.0, 0.0, eps)
+  const dfdx = f(k.add(dx)).sub(f(k.sub(dx))).div(eps.mul(2))
+  const dfdy = f(k.add(dy)).sub(f(k.sub(dy))).div(eps.mul(2))
+  const dfdz = f(k.add(dz)).sub(f(k.sub(dz))).div(eps.mul(2))
+  return $.vec3(dfdx, dfdy, dfdz)
+}
+
+/**
+ * Estimates the 2D gradient of a scalar field from screen-space derivatives.
+ *
+ * Needs a single field evaluation, but only works in the fragment stage, and
+ * the result is constant over each 2x2 pixel quad. Solves the screen-space
+ * Jacobian of `k` for the gradient; returns zero where `k` does not vary.
+ *
+ * @param {*} f - Scalar field function that takes a vec2 and returns a float value.
+ * @param {*} k - The 2D coordinate at which to evaluate the gradient.
+ * @returns {*} The estimated gradient vector (df/dx, df/dy) at the given point.
+ */
+export const screen_space_gradient2d = (f, k) => {
+  k = $.vec2(k)
+  const h = $.float(f(k))
+  const a = $.dFdx(k)
+  const b = $.dFdy(k)
+  const dhdx = $.dFdx(h)
+  const dhdy = $.dFdy(h)
+  const det = a.x.mul(b.y).sub(a.y.mul(b.x))
+  const gradient = $.vec2(
+    b.y.mul(dhdx).sub(a.y.mul(dhdy)),
+    a.x.mul(dhdy).sub(b.x.mul(dhdx))
+  ).div(det)
+  return $.select(det.abs().greaterThan(1e-20), gradient, $.vec2(0))
+}
+
+/**
+ * Estimates the 3D gradient of a scalar field from screen-space derivatives.
+ *
+ * Needs a single field evaluation, but only works in the fragment stage. Only
+ * the part of the gradient in the plane swept by `k` across the screen is
+ * recovered, which is the part that bumps the surface when `k` moves with it
+ * (e.g. `positionLocal`).
+ *
+ * Ref: Mikkelsen, "Bump Mapping Unparametrized Surfaces on the GPU", 2010
+ *
+ * @param {*} f - Scalar field function that takes a vec3 and returns a float value.
+ * @param {*} k - The 3D coordinate at which to evaluate the gradient.
+ * @returns {*} The estimated surface gradient at the given point.
+ */
+export const screen_space_gradient3d = (f, k) => {
+  k = $.vec3(k)
+  const h = $.float(f(k))
+  const a = $.dFdx(k)
+  const b = $.dFdy(k)
+  const n = a.cross(b)
+  const det = n.dot(n)
+  const gradient = b.cross(n).mul($.dFdx(h)).add(n.cross(a).mul($.dFdy(h))).div(det)
+  return $.select(det.greaterThan(1e-20), gradient, $.vec3(0))
+}
+
+/**
+ * Computes the exact 2D gradient of a scalar field with dual numbers.
+ *
+ * The field is evaluated once on a dual coordinate, so it must only use the
+ * ops listed in dual.js, in method-chaining form (`k.x.sin()`, not `sin(k.x)`).
+ *
+ * @param {*} f - Scalar field function that takes a vec2 and returns a float value.
+ * @param {*} k - The 2D coordinate at which to evaluate the gradient.
+ * @returns {*} The gradient vector (df/dx, df/dy) at the given point.
+ */
+export const dual_gradient2d = (f, k) => {
+  const h = f(dual_variable(k, 2))
+  return is_dual(h) ? h.grad : $.vec2(0)
+}
+
+/**
+ * Computes the exact 3D gradient of a scalar field with dual numbers.
+ *
+ * See {@link dual_gradient2d} for the supported fields.
+ *
+ * @param {*} f - Scalar field function that takes a vec3 and returns a float value.
+ * @param {*} k - The 3D coordinate at which to evaluate the gradient.
+ * @returns {*} The gradient vector (df/dx, df/dy, df/dz) at the given point.
+ */
+export const dual_gradient3d = (f, k) => {
+  const h = f(dual_variable(k, 3))
+  return is_dual(h) ? h.grad : $.vec3(0)
+}
+
+//
+// Gradient strategies
+//  Passed as the `gradient` argument of the bump field functions. A strategy
+//  is a function `(f, k, dims) => gradient`, with `dims` the size of `k`.
+//
+
+/**
+ * One-sided forward differences; N+1 field evaluations.
+ *
+ * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @returns {*} Gradient strategy.
+ */
+export const forward_difference_gradient = (eps = 0.001) => (f, k, dims) => {
+  return [forward_difference_gradient2d, forward_difference_gradient3d][dims - 2](f, k, eps)
+}
+
+/**
+ * Central differences; 2N field evaluations.
+ *
+ * @param {*} [eps=0.001] - Small offset step used for finite difference approximation.
+ * @returns {*} Gradient strategy.
+ *
+ * @example
+ * ```js
+ * mat.normalNode = bump_field2d(f, uv(), strength, central_difference_gradient(0.002))
+ * ```
+ */
+export const central_difference_gradient = (eps = 0.001) => (f, k, dims) => {
+  return [central_difference_gradient2d, central_difference_gradient3d][dims - 2](f, k, eps)
+}
+
+/**
+ * Screen-space `dFdx/dFdy` derivatives; 1 field evaluation, fragment stage only.
+ *
+ * @returns {*} Gradient strategy.
+ */
+export const screen_space_gradient = () => (f, k, dims) => {
+  return [screen_space_gradient2d, screen_space_gradient3d][dims - 2](f, k)
+}
+
+/**
+ * Forward-mode automatic differentiation with dual numbers; exact, 1 field evaluation.
+ *
+ * @returns {*} Gradient strategy.
+ *
+ * @example
+ * ```js
+ * const f = (k) => k.x.mul(20).sin().mul(k.y.mul(20).cos()).mul(0.05)
+ * mat.normalNode = bump_field2d(f, uv(), 1, dual_gradient())
+ * ```
+ */
+export const dual_gradient = () => (f, k, dims) => {
+  return [dual_gradient2d, dual_gradient3d][dims - 2](f, k)
+}
+
+/**
+ * An analytic gradient, e.g. from noise with derivatives; the field itself is not evaluated.
+ *
+ * 4D noise returns its gradient as `.gradient`; for a 2D field tiled on a torus,
+ * map it to the 2D coordinate with {@link tileable_torus2d_gradient}.
+ *
+ * @param {*} g - Gradient function that takes the coordinate and returns a vec2/vec3.
+ * @returns {*} Gradient strategy.
+ *
+ * @example
+ * ```js
+ * const f = (k) => perlin_noise2d(k)
+ * const g = (k) => perlin_noise2d(k, { derivatives: true }).yz
+ * mat.normalNode = bump_field2d(f, uv().mul(8), 0.1, analytic_gradient(g))
+ * ```
+ */
+export const analytic_gradient = (g) => (f, k) => g(k)
+
+/**
+ * Resolve the `gradient` argument of the bump field functions.
+ *
+ * @param {*} gradient - Gradient strategy, or an offset step for forward differences.
+ * @returns {*} Gradient strategy.
+ * @private
+ */
+const to_gradient_strategy = (gradient) => {
+  return typeof gradient === 'function' ? gradient : forward_difference_gradient(gradient)
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { TSL as $ } from 'three/webgpu'
+import { local_to_world } from './random.js'
+
+//
+// Normal blending
+//  Layer a detail normal over a base normal, e.g. a fine bump over a macro bump.
+//  - The blends are defined around a reference normal, the unperturbed
+//    surface normal (`normal` option, default `normalLocal`); inputs and
+//    output are unit normals in the same space as it. This fits the
+//    `*_localspace` bump outputs; pass `normalView` for view-space inputs, or
+//    `vec3(0, 0, 1)` for tangent-space normals (e.g. normal map texels).
+//  - `strength` scales the detail's deviation from the reference normal and
+//    `mask` (e.g. a texture channel) fades it per pixel; 0 returns the base.
+//  Ref: Barré-Brisebois and Hill, "Blending in Detail", 2012
+//
+
+/**
+ * Reoriented normal mapping: rotate `detail` by the rotation taking +z to `base`.
+ *
+ * Both normals are in tangent space, +z up.
+ *
+ * @param {*} base - Base normal (vec3), normalized.
+ * @param {*} detail - Detail normal (vec3), normalized.
+ * @returns {*} Blended normal (vec3), normalized.
+ */
+export const reorient_normal = $.Fn(([base, detail]) => {
+  const t = $.vec3(base).add($.vec3(0, 0, 1))
+  const u = $.vec3(detail).mul($.vec3(-1, -1, 1))
+  return t.mul(t.dot(u)).div(t.z).sub(u).normalize()
+})
+
+/**
+ * Lift a tangent-space blend `(base, detail, weight) => normal` to the
+ * frame around a reference normal.
+ *
+ * @private
+ */
+const normal_blend = (blend) => (base, detail, { strength = 1, mask = 1, normal = $.normalLocal } = {}) => {
+  const n = $.vec3(normal).normalize()
+  const t = local_to_world($.vec3(1, 0, 0), n)
+  const s = local_to_world($.vec3(0, 1, 0), n)
+  const to_tangent = (v) => $.vec3($.vec3(v).dot(t), $.vec3(v).dot(s), $.vec3(v).dot(n))
+  const weight = $.float(strength).mul(mask)
+  const blended = blend(to_tangent(base), to_tangent(detail), weight)
+  return t.mul(blended.x).add(s.mul(blended.y)).add(n.mul(blended.z)).normalize()
+}
+
+/**
+ * Scale the deviation of a tangent-space normal from +z.
+ *
+ * @private
+ */
+const scale_detail = (d, weight) => $.vec3(d.xy.mul(weight), d.z).normalize()
+
+/**
+ * Linear blend, the normalized average of both normals; flattens both.
+ *
+ * `strength * mask` is the detail's share: 1 averages, 0 returns the base.
+ *
+ * @param {*} base - Base normal (vec3).
+ * @param {*} detail - Detail normal (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Detail strength.
+ * @param {*} [options.mask=1] - Detail mask in [0,1].
+ * @param {*} [options.normal=normalLocal] - Reference surface normal.
+ * @returns {*} Blended normal (vec3), normalized.
+ */
+export const normal_blend_linear = normal_blend((b, d, weight) => $.mix(b, d, weight.mul(0.5)))
+
+/**
+ * Partial derivative blend: adds the height slopes of both normals.
+ *
+ * @param {*} base - Base normal (vec3).
+ * @param {*} detail - Detail normal (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Detail strength.
+ * @param {*} [options.mask=1] - Detail mask in [0,1].
+ * @param {*} [options.normal=normalLocal] - Reference surface normal.
+ * @returns {*} Blended normal (vec3), normalized.
+ */
+export const normal_blend_pd = normal_blend((b, d, weight) => {
+  d = scale_detail(d, weight)
+  return $.vec3(b.xy.mul(d.z).add(d.xy.mul(b.z)), b.z.mul(d.z))
+})
+
+/**
+ * Whiteout blend: like partial derivatives with both slopes at full weight.
+ *
+ * @param {*} base - Base normal (vec3).
+ * @param {*} detail - Detail normal (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Detail strength.
+ * @param {*} [options.mask=1] - Detail mask in [0,1].
+ * @param {*} [options.normal=normalLocal] - Reference surface normal.
+ * @returns {*} Blended normal (vec3), normalized.
+ *
+ * @example
+ * ```
+ * const macro = bump_field2d_localspace(hills, uv(), 1)
+ * const detail = bump_field2d_localspace(grain, uv().mul(32), 0.3)
+ * mat.normalNode = transformNormalToView(normal_blend_whiteout(macro, detail, { mask: texture(mask_tex).r }))
+ * ```
+ */
+export const normal_blend_whiteout = normal_blend((b, d, weight) => {
+  d = scale_detail(d, weight)
+  return $.vec3(b.xy.add(d.xy), b.z.mul(d.z))
+})
+
+/**
+ * Unreal Developer Network blend: adds the detail slope, keeps the base height; cheapest, flattens steep details.
+ *
+ * @param {*} base - Base normal (vec3).
+ * @param {*} detail - Detail normal (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Detail strength.
+ * @param {*} [options.mask=1] - Detail mask in [0,1].
+ * @param {*} [options.normal=normalLocal] - Reference surface normal.
+ * @returns {*} Blended normal (vec3), normalized.
+ */
+export const normal_blend_udn = normal_blend((b, d, weight) => {
+  d = scale_detail(d, weight)
+  return $.vec3(b.xy.add(d.xy), b.z)
+})
+
+/**
+ * Reoriented normal mapping blend: the detail follows the base as if it
+ * were mapped on the base's surface. See {@link reorient_normal}.
+ *
+ * @param {*} base - Base normal (vec3).
+ * @param {*} detail - Detail normal (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.strength=1] - Detail strength.
+ * @param {*} [options.mask=1] - Detail mask in [0,1].
+ * @param {*} [options.normal=normalLocal] - Reference surface normal.
+ * @returns {*} Blended normal (vec3), normalized.
+ */
+export const normal_blend_rnm = normal_blend((b, d, weight) => reorient_normal(b, scale_detail(d, weight)))
@@ -0,0 +1,175 @@
+import { TSL as $ } from 'three/webgpu'
+
+//
+// Parallax mapping
+//  Offset UVs so a height field `f(uv)` (as used by `bump_field2d`) appears
+//  to have depth. Heights are in [0,1] with 1 at the surface; `scale` is the
+//  depth of height 0 in uv units.
+//  - Directions (`view`, `light`) are in view space and are taken to tangent
+//    space with the mesh tangents, as for `bump_field2d`.
+//  - Feed the offset UV to both color and normal so they stay aligned:
+//
+//    const puv = parallax_occlusion(f, uv())
+//    mat.colorNode = texture(albedo, puv)
+//    mat.normalNode = bump_field2d(f, puv, strength)
+//
+//  Ref: Tatarchuk, "Practical Parallax Occlusion Mapping with Approximate Soft Shadows", 2006
+//
+
+/**
+ * A view-space direction in tangent space.
+ *
+ * @private
+ */
+const to_tangent_space = (v) => $.vec3(v).mul($.TBNViewMatrix).normalize()
+
+/**
+ * Depth below the surface at `uv`, in [0,1].
+ *
+ * @private
+ */
+const depth_at = (f, uv) => $.float(f(uv)).oneMinus()
+
+/**
+ * Simple parallax mapping: one height sample, offset along the view direction.
+ *
+ * Cheap, but breaks up at grazing angles and on steep height changes.
+ *
+ * @param {*} f - Height field function that takes a vec2 (uv) and returns a float in [0,1].
+ * @param {*} uv - Surface UV (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.scale=0.05] - Depth of height 0, in uv units.
+ * @param {*} [options.view=positionViewDirection] - View-space direction from the surface to the eye.
+ * @returns {*} Offset UV (vec2).
+ */
+export const parallax_simple = (f, uv, { scale = 0.05, view = $.positionViewDirection } = {}) => {
+  uv = $.vec2(uv)
+  const v = to_tangent_space(view)
+  return uv.sub(v.xy.div(v.z).mul(depth_at(f, uv).mul(scale)))
+}
+
+/**
+ * March the view ray through `steps` depth layers until it goes below the height field.
+ *
+ * @private
+ */
+const march = (f, uv, { scale, steps, view }) => {
+  const v = to_tangent_space(view)
+  steps = $.int(steps)
+  const layer_depth = $.float(1).div($.float(steps))
+  const delta_uv = v.xy.div(v.z).mul(scale).mul(layer_depth)
+  const current_uv = $.vec2(uv).toVar()
+  const current_layer = $.float(0).toVar()
+  const current_depth = depth_at(f, current_uv).toVar()
+  $.Loop({ start: 0, end: steps, type: 'int' }, () => {
+    $.If(current_layer.greaterThanEqual(current_depth), () => {
+      $.Break()
+    })
+    current_uv.subAssign(delta_uv)
+    current_layer.addAssign(layer_depth)
+    current_depth.assign(depth_at(f, current_uv))
+  })
+  return { current_uv, current_layer, current_depth, delta_uv, layer_depth }
+}
+
+/**
+ * Steep parallax mapping: march depth layers and stop at the first one below the field.
+ *
+ * @param {*} f - Height field function that takes a vec2 (uv) and returns a float in [0,1].
+ * @param {*} uv - Surface UV (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.scale=0.05] - Depth of height 0, in uv units.
+ * @param {*} [options.steps=16] - Number of layers (int); more steps remove stair-stepping.
+ * @param {*} [options.view=positionViewDirection] - View-space direction from the surface to the eye.
+ * @returns {*} Offset UV (vec2).
+ */
+export const parallax_steep = (f, uv, { scale = 0.05, steps = 16, view = $.positionViewDirection } = {}) => $.Fn(() => {
+  return march(f, uv, { scale, steps, view }).current_uv
+})()
+
+/**
+ * Parallax occlusion mapping: steep parallax, then a binary search for the
+ * intersection between the last two layers and a linear fit within the final interval.
+ *
+ * @param {*} f - Height field function that takes a vec2 (uv) and returns a float in [0,1].
+ * @param {*} uv - Surface UV (vec2).
+ * @param {Object} [options]
+ * @param {*} [options.scale=0.05] - Depth of height 0, in uv units.
+ * @param {*} [options.steps=16] - Number of layers (int).
+ * @param {*} [options.refinement=5] - Number of binary search steps (int); 0 for the linear fit only.
+ * @param {*} [options.view=positionViewDirection] - View-space direction from the surface to the eye.
+ * @returns {*} Offset UV (vec2).
+ *
+ * @example
+ * ```
+ * const grooves = (uv) => uv.x.mul(40).sin().mul(0.5).add(0.5)
+ * const puv = parallax_occlusion(grooves, uv(), { scale: 0.03, steps: 32 })
+ * mat.colorNode = texture(albedo, puv)
+ * mat.normalNode = bump_field2d(grooves, puv, 0.02)
+ * ```
+ */
+export const parallax_occlusion = (f, uv, { scale = 0.05, steps = 16, refinement = 5, view = $.positionViewDirection } = {}) => $.Fn(() => {
+  const { current_uv, current_layer, current_depth, delta_uv, layer_depth } = march(f, uv, { scale, steps, view })
+  // Bracket the intersection: `above` is the last point above the field, `below` the first below it.
+  const above_uv = current_uv.add(delta_uv).toVar()
+  const above_layer = current_layer.sub(layer_depth).toVar()
+  const below_uv = current_uv.toVar()
+  const below_layer = current_layer.toVar()
+  const below_depth = current_depth.toVar()
+  $.Loop({ start: 0, end: $.int(refinement), type: 'int' }, () => {
+    const mid_uv = above_uv.add(below_uv).mul(0.5)
+    const mid_layer = above_layer.add(below_layer).mul(0.5)
+    const mid_depth = depth_at(f, mid_uv)
+    $.If(mid_layer.greaterThanEqual(mid_depth), () => {
+      below_uv.assign(mid_uv)
+      below_layer.assign(mid_layer)
+      below_depth.assign(mid_depth)
+    }).Else(() => {
+      above_uv.assign(mid_uv)
+      above_layer.assign(mid_layer)
+    })
+  })
+  const after = below_depth.sub(below_layer)
+  const before = depth_at(f, above_uv).sub(above_layer)
+  const weight = after.div(after.sub(before).min(-1e-6))
+  return $.mix(below_uv, above_uv, weight.clamp(0, 1))
+})()
+
+/**
+ * Self-shadowing of a parallax-mapped height field, with soft penumbrae.
+ *
+ * Marches from the (offset) surface point towards the light; a sample above
+ * the ray occludes it by its height above the ray, weighted down with distance.
+ *
+ * @param {*} f - Height field function that takes a vec2 (uv) and returns a float in [0,1].
+ * @param {*} uv - Offset UV (vec2), e.g. from {@link parallax_occlusion}.
+ * @param {*} light - View-space direction from the surface to the light (vec3).
+ * @param {Object} [options]
+ * @param {*} [options.scale=0.05] - Depth of height 0, in uv units, as for the offset.
+ * @param {*} [options.steps=16] - Number of samples (int).
+ * @param {*} [options.softness=8] - Occlusion sharpness; higher values give harder shadows.
+ * @returns {*} Light visibility (float) in [0,1], 1 for unshadowed.
+ *
+ * @example
+ * ```
+ * const shadow = parallax_shadow(grooves, puv, light_dir_view)
+ * mat.colorNode = texture(albedo, puv).mul(shadow)
+ * ```
+ */
+export const parallax_shadow = (f, uv, light, { scale = 0.05, steps = 16, softness = 8 } = {}) => $.Fn(() => {
+  uv = $.vec2(uv)
+  const l = to_tangent_space(light)
+  steps = $.int(steps)
+  const depth = depth_at(f, uv).toVar()
+  const layer_depth = depth.div($.float(steps))
+  const delta_uv = l.xy.div(l.z.max(1e-3)).mul(scale).mul(layer_depth)
+  const occlusion = $.float(0).toVar()
+  $.Loop({ start: 1, end: steps.add(1), type: 'int' }, ({ i }) => {
+    const layer = depth.sub(layer_depth.mul($.float(i)))
+    const sample_depth = depth_at(f, uv.add(delta_uv.mul($.float(i))))
+    const falloff = $.float(i).div($.float(steps)).oneMinus()
+    occlusion.assign(occlusion.max(layer.sub(sample_depth).mul(falloff)))
+  })
+  const lit = occlusion.mul(softness).oneMinus().clamp(0, 1)
+  return $.select(l.z.greaterThan(0), lit, $.float(0))
+})()
@@ -0,0 +1,281 @@
+import { TSL as $ } from 'three/webgpu'
+import { pcg_hash11_u32, xxhash32_hash12_u32, xxhash32_hash13_u32 } from './hash.js'
+
+//
+// Random streams
+//  A stateful stream per invocation: a uint counter hashed with PCG.
+//  Create it inside a `Fn` (it declares a var); each `next_*` call advances it.
+//
+
+/**
+ * Create a random stream from a hashed seed.
+ *
+ * @param {*} seed - Initial state (uint).
+ * @returns {*} Random stream.
+ * @private
+ */
+const create_rng = (seed) => {
+  const state = $.uint(seed).toVar()
+
+  const next_uint = () => {
+    state.addAssign(0x9e37_79b9)
+    return pcg_hash11_u32(state).toVar()
+  }
+
+  const next_float = () => next_uint().shiftRight(8).toFloat().mul(1 / 2 ** 24)
+  const next_vec2 = () => $.vec2(next_float(), next_float()).toVar()
+  const next_vec3 = () => $.vec3(next_float(), next_float(), next_float()).toVar()
+
+  return {
+    state,
+    next_uint,
+    next_float,
+    next_vec2,
+    next_vec3
+  }
+}
+
+/**
+ * Create a random stream seeded from an invocation index, e.g. in a compute kernel.
+ *
+ * The returned object has:
+ *   - `state`: the uint state var
+ *   - `next_uint()`: uint
+ *   - `next_float()`: float in [0,1)
+ *   - `next_vec2()`, `next_vec3()`: components in [0,1)
+ *
+ * @param {*} index - Invocation index (uint), e.g. `instanceIndex`.
+ * @param {*} [frame=0] - Frame counter (uint), e.g. `frameId`, for a new stream every frame.
+ * @returns {*} Random stream.
+ *
+ * @example
+ * ```
+ * const kernel = Fn(() => {
+ *   const rng = rng_from_index(instanceIndex, frameId)
+ *   const dir = sample_sphere_uniform(rng.next_vec2())
+ *   // ...
+ * })().compute(count)
+ * ```
+ */
+export const rng_from_index = (index, frame = 0) => {
+  return create_rng(xxhash32_hash12_u32($.uvec2(index, frame)))
+}
+
+/**
+ * Create a random stream seeded from a pixel coordinate, e.g. in a fragment shader.
+ *
+ * See {@link rng_from_index} for the returned object.
+ *
+ * @param {*} pixel - Pixel coordinate (vec2 or uvec2), e.g. `screenCoordinate`.
+ * @param {*} [frame=0] - Frame counter (uint), e.g. `frameId`, for a new stream every frame.
+ * @returns {*} Random stream.
+ *
+ * @example
+ * ```
+ * mat.colorNode = Fn(() => {
+ *   const rng = rng_from_pixel(screenCoordinate, frameId)
+ *   return vec3(rng.next_float())
+ * })()
+ * ```
+ */
+export const rng_from_pixel = (pixel, frame = 0) => {
+  const p = $.uvec2(pixel)
+  return create_rng(xxhash32_hash13_u32($.uvec3(p.x, p.y, frame)))
+}
+
+//
+// Sampling warps
+//  Map uniform `u` in [0,1)^2 to a distribution. Directions are in a local
+//  frame with +z as the pole; use `local_to_world` to orient them.
+//  Ref: Pharr et al., "Physically Based Rendering", 4th ed., ch. A.5
+//
+
+/**
+ * Uniform point on the unit disk (polar mapping).
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Point on the unit disk (vec2).
+ */
+export const sample_disk_uniform = $.Fn(([u]) => {
+  u = $.vec2(u)
+  const r = u.x.sqrt()
+  const theta = u.y.mul(2 * Math.PI)
+  return $.vec2(theta.cos(), theta.sin()).mul(r)
+})
+
+/**
+ * Uniform point on the unit disk (Shirley-Chiu concentric mapping).
+ *
+ * Keeps stratification better than the polar mapping.
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Point on the unit disk (vec2).
+ */
+export const sample_disk_concentric = $.Fn(([u]) => {
+  u = $.vec2(u)
+  const offset = u.mul(2).sub(1)
+  const is_x_major = offset.x.abs().greaterThan(offset.y.abs())
+  const r = $.select(is_x_major, offset.x, offset.y)
+  const theta = $.select(
+    is_x_major,
+    offset.y.div(offset.x).mul(Math.PI / 4),
+    offset.x.div(offset.y).mul(-Math.PI / 4).add(Math.PI / 2)
+  )
+  const point = $.vec2(theta.cos(), theta.sin()).mul(r)
+  return $.select(offset.equal($.vec2(0)), $.vec2(0), point)
+})
+
+/**
+ * Uniform direction on the unit sphere.
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Unit direction (vec3). The pdf is `1 / (4π)`.
+ */
+export const sample_sphere_uniform = $.Fn(([u]) => {
+  u = $.vec2(u)
+  const z = u.x.mul(2).oneMinus()
+  const r = z.mul(z).oneMinus().max(0).sqrt()
+  const phi = u.y.mul(2 * Math.PI)
+  return $.vec3(phi.cos().mul(r), phi.sin().mul(r), z)
+})
+
+/**
+ * Uniform direction on the +z hemisphere.
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Unit direction (vec3). The pdf is `1 / (2π)`.
+ */
+export const sample_hemisphere_uniform = $.Fn(([u]) => {
+  u = $.vec2(u)
+  const z = u.x
+  const r = z.mul(z).oneMinus().max(0).sqrt()
+  const phi = u.y.mul(2 * Math.PI)
+  return $.vec3(phi.cos().mul(r), phi.sin().mul(r), z)
+})
+
+/**
+ * Cosine-weighted direction on the +z hemisphere (Malley's method).
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Unit direction (vec3). The pdf is `z / π`.
+ *
+ * @example
+ * ```
+ * const n = normalWorld
+ * const dir = local_to_world(sample_hemisphere_cosine(rng.next_vec2()), n)
+ * ```
+ */
+export const sample_hemisphere_cosine = $.Fn(([u]) => {
+  const d = sample_disk_concentric(u)
+  const z = d.dot(d).oneMinus().max(0).sqrt()
+  return $.vec3(d, z)
+})
+
+/**
+ * GGX microfacet normal sampled from the distribution of visible normals.
+ *
+ * Ref: Heitz, "Sampling the GGX Distribution of Visible Normals", JCGT 2018
+ *
+ * @param {*} view - Direction towards the viewer in the local frame (vec3), z > 0.
+ * @param {*} alpha - GGX roughness `roughness²` (float, or vec2 for anisotropic x/y).
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Microfacet normal (vec3); reflect `-view` about it for the light direction.
+ *
+ * @example
+ * ```
+ * const h = sample_ggx_vndf(v, roughness.mul(roughness), rng.next_vec2())
+ * const l = reflect(v.negate(), h)
+ * ```
+ */
+export const sample_ggx_vndf = $.Fn(([view, alpha, u]) => {
+  view = $.vec3(view)
+  alpha = $.vec2(alpha)
+  u = $.vec2(u)
+  // Stretch the view direction to the hemisphere configuration.
+  const vh = $.vec3(view.xy.mul(alpha), view.z).normalize()
+  // Orthonormal basis around vh.
+  const lensq = vh.xy.dot(vh.xy)
+  const t1 = $.select(lensq.greaterThan(0), $.vec3(vh.y.negate(), vh.x, 0).div(lensq.sqrt()), $.vec3(1, 0, 0))
+  const t2 = vh.cross(t1)
+  // Sample the projected area.
+  const r = u.x.sqrt()
+  const phi = u.y.mul(2 * Math.PI)
+  const p1 = r.mul(phi.cos())
+  const s = vh.z.add(1).mul(0.5)
+  const p2 = $.mix(p1.mul(p1).oneMinus().sqrt(), r.mul(phi.sin()), s)
+  const nh = t1.mul(p1)
+    .add(t2.mul(p2))
+    .add(vh.mul(p1.mul(p1).add(p2.mul(p2)).oneMinus().max(0).sqrt()))
+  // Unstretch.
+  return $.vec3(nh.xy.mul(alpha), nh.z.max(0)).normalize()
+})
+
+/**
+ * Density of {@link sample_ggx_vndf} for a microfacet normal, `G1(v) max(v·h, 0) D(h) / v.z`.
+ *
+ * Divide by `4 v·h` for the density of the reflected direction.
+ *
+ * @param {*} view - Direction towards the viewer in the local frame (vec3).
+ * @param {*} h - Microfacet normal in the local frame (vec3).
+ * @param {*} alpha - GGX roughness (float, or vec2 for anisotropic x/y).
+ * @returns {*} Density (float).
+ */
+export const pdf_ggx_vndf = $.Fn(([view, h, alpha]) => {
+  view = $.vec3(view)
+  h = $.vec3(h)
+  alpha = $.vec2(alpha)
+  const hs = $.vec3(h.xy.div(alpha), h.z)
+  const d = hs.dot(hs).pow2().mul(alpha.x).mul(alpha.y).mul(Math.PI).reciprocal()
+  const vs = $.vec3(view.xy.mul(alpha), view.z)
+  const lambda = vs.length().div(view.z).sub(1).mul(0.5)
+  const g1 = lambda.add(1).reciprocal()
+  return g1.mul(view.dot(h).max(0)).mul(d).div(view.z)
+})
+
+/**
+ * Uniform barycentric coordinates on a triangle.
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @returns {*} Barycentric weights (vec3), summing to 1.
+ */
+export const sample_triangle_barycentric = $.Fn(([u]) => {
+  u = $.vec2(u)
+  const su = u.x.sqrt()
+  const b0 = su.oneMinus()
+  const b1 = u.y.mul(su)
+  return $.vec3(b0, b1, b0.add(b1).oneMinus())
+})
+
+/**
+ * Uniform point in a triangle.
+ *
+ * @param {*} u - Uniform sample (vec2).
+ * @param {*} a - First vertex (vec3).
+ * @param {*} b - Second vertex (vec3).
+ * @param {*} c - Third vertex (vec3).
+ * @returns {*} Point in the triangle (vec3).
+ */
+export const sample_triangle = $.Fn(([u, a, b, c]) => {
+  const w = sample_triangle_barycentric(u)
+  return $.vec3(a).mul(w.x).add($.vec3(b).mul(w.y)).add($.vec3(c).mul(w.z))
+})
+
+/**
+ * Rotate a direction from the +z local frame to the frame around a normal.
+ *
+ * Ref: Duff et al., "Building an Orthonormal Basis, Revisited", JCGT 2017
+ *
+ * @param {*} v - Direction in the local frame (vec3).
+ * @param {*} n - Unit normal (vec3), the local +z axis.
+ * @returns {*} Direction around `n` (vec3).
+ */
+export const local_to_world = $.Fn(([v, n]) => {
+  v = $.vec3(v)
+  n = $.vec3(n)
+  const sign = $.select(n.z.greaterThanEqual(0), $.float(1), $.float(-1))
+  const a = $.float(-1).div(sign.add(n.z))
+  const b = n.x.mul(n.y).mul(a)
+  const t = $.vec3(n.x.mul(n.x).mul(a).mul(sign).add(1), b.mul(sign), n.x.mul(sign).negate())
+  const s = $.vec3(b, n.y.mul(n.y).mul(a).add(sign), n.y.negate())
+  return t.mul(v.x).add(s.mul(v.y)).add(n.mul(v.z))
+})
@@ -0,0 +1,389 @@
+import { TSL as $ } from 'three/webgpu'
+import { jenkins_hash12_u32 } from './hash.js'
+import { jenkins_hash12_u32 as jenkins_hash12_u32_js } from './cpu/hash.js'
+
+//
+// Low-discrepancy sequences
+//  - Nodes take a sample index (uint) and return points in [0,1)^N.
+//  - The `*_sequence` functions generate the same points on the CPU, as a
+//    flat Float32Array with N floats per point, e.g. for a sample table.
+//  - Points are quantized to 24 bits, so nodes and CPU tables match exactly.
+//
+
+const components = ['x', 'y', 'z', 'w']
+
+/**
+ * Uint in [0, 2^32) to float in [0,1) with 24 bits of precision.
+ *
+ * @private
+ */
+const u32_to_unit = (x) => $.uint(x).shiftRight(8).toFloat().mul(1 / 2 ** 24)
+const u32_to_unit_js = (x) => (x >>> 8) / 2 ** 24
+
+/**
+ * Pack 1 to 4 floats into a float or a vecN.
+ *
+ * @private
+ */
+const pack = (values) => (values.length === 1 ? values[0] : [$.vec2, $.vec3, $.vec4][values.length - 2](...values))
+
+//
+// Radical inverse, Halton, Hammersley
+//
+
+/**
+ * Reverse the bits of a uint.
+ *
+ * @private
+ */
+const reverse_bits = $.Fn(([x]) => {
+  const v = $.uint(x).toVar()
+  v.assign(v.shiftRight(1).bitAnd(0x5555_5555).bitOr(v.bitAnd(0x5555_5555).shiftLeft(1)))
+  v.assign(v.shiftRight(2).bitAnd(0x3333_3333).bitOr(v.bitAnd(0x3333_3333).shiftLeft(2)))
+  v.assign(v.shiftRight(4).bitAnd(0x0f0f_0f0f).bitOr(v.bitAnd(0x0f0f_0f0f).shiftLeft(4)))
+  v.assign(v.shiftRight(8).bitAnd(0x00ff_00ff).bitOr(v.bitAnd(0x00ff_00ff).shiftLeft(8)))
+  v.assign(v.shiftRight(16).bitOr(v.shiftLeft(16)))
+  return v
+})
+
+const reverse_bits_js = (x) => {
+  x = ((x >>> 1) & 0x5555_5555) | ((x & 0x5555_5555) << 1)
+  x = ((x >>> 2) & 0x3333_3333) | ((x & 0x3333_3333) << 2)
+  x = ((x >>> 4) & 0x0f0f_0f0f) | ((x & 0x0f0f_0f0f) << 4)
+  x = ((x >>> 8) & 0x00ff_00ff) | ((x & 0x00ff_00ff) << 8)
+  return ((x >>> 16) | (x << 16)) >>> 0
+}
+
+/**
+ * Number of base-`base` digits whose reversal fits in a uint.
+ *
+ * @private
+ */
+const radical_inverse_digits = (base) => {
+  if (!Number.isInteger(base) || base < 2) throw new Error(`Invalid radical inverse base: ${base}`)
+  return Math.floor(32 / Math.log2(base) + 1e-9)
+}
+
+/**
+ * Radical inverse of an index in a base: its digits mirrored around the radix point.
+ *
+ * Base 2 is the van der Corput sequence.
+ *
+ * @param {*} index - Sample index (uint).
+ * @param {number} [base=2] - Integer base, at least 2.
+ * @returns {*} Value (float) in [0,1).
+ */
+export const radical_inverse = (index, base = 2) => {
+  if (base === 2) return u32_to_unit(reverse_bits(index))
+  const digits = radical_inverse_digits(base)
+  return $.Fn(() => {
+    const n = $.uint(index).toVar()
+    const reversed = $.uint(0).toVar()
+    $.Loop({ start: 0, end: digits, type: 'int' }, () => {
+      reversed.assign(reversed.mul(base).add(n.mod(base)))
+      n.divAssign(base)
+    })
+    return reversed.toFloat().mul(1 / base ** digits)
+  })()
+}
+
+const radical_inverse_js = (index, base) => {
+  if (base === 2) return u32_to_unit_js(reverse_bits_js(index))
+  const digits = radical_inverse_digits(base)
+  let n = index >>> 0
+  let reversed = 0
+  for (let i = 0; i < digits; ++i) {
+    reversed = (reversed * base + (n % base)) >>> 0
+    n = Math.floor(n / base)
+  }
+  return Math.fround(Math.fround(reversed) * Math.fround(1 / base ** digits))
+}
+
+/**
+ * Halton point, the radical inverses of the index in coprime bases.
+ *
+ * @param {*} index - Sample index (uint).
+ * @param {number[]} [bases=[2, 3]] - One base per dimension (1 to 4), pairwise coprime.
+ * @returns {*} Point (float or vecN) in [0,1)^N.
+ *
+ * @example
+ * ```
+ * const jitter = halton(frameId.mod(16), [2, 3]).sub(0.5)
+ * ```
+ */
+export const halton = (index, bases = [2, 3]) => {
+  return pack(bases.map((base) => radical_inverse(index, base)))
+}
+
+/**
+ * Hammersley point, `(index / count, radical_inverse2(index))`.
+ *
+ * Better distributed than Halton when the sample count is known up front.
+ *
+ * @param {*} index - Sample index (uint), in [0, count).
+ * @param {*} count - Sample count.
+ * @returns {*} Point (vec2) in [0,1)^2.
+ */
+export const hammersley2d = (index, count) => {
+  return $.vec2($.float(index).div(count), radical_inverse(index, 2))
+}
+
+/**
+ * Generate Halton points on the CPU.
+ *
+ * @param {number} count - Number of points.
+ * @param {number[]} [bases=[2, 3]] - One base per dimension.
+ * @param {number} [start=0] - Index of the first point.
+ * @returns {Float32Array} `count * bases.length` floats.
+ */
+export const halton_sequence = (count, bases = [2, 3], start = 0) => {
+  const out = new Float32Array(count * bases.length)
+  for (let i = 0; i < count; ++i) {
+    bases.forEach((base, d) => { out[i * bases.length + d] = radical_inverse_js(start + i, base) })
+  }
+  return out
+}
+
+/**
+ * Generate Hammersley points on the CPU.
+ *
+ * @param {number} count - Number of points.
+ * @returns {Float32Array} `count * 2` floats.
+ */
+export const hammersley_sequence = (count) => {
+  const out = new Float32Array(count * 2)
+  for (let i = 0; i < count; ++i) {
+    out[i * 2] = i / count
+    out[i * 2 + 1] = radical_inverse_js(i, 2)
+  }
+  return out
+}
+
+//
+// Sobol
+//  Ref: Joe and Kuo, "Constructing Sobol sequences with better two-dimensional projections"
+//  Ref: Burley, "Practical Hash-based Owen Scrambling", JCGT 2020
+//
+
+/**
+ * Sobol direction numbers for the first 4 dimensions, 32 per dimension.
+ * Dimension 0 is the van der Corput sequence; the others follow the
+ * Joe-Kuo primitive polynomials `(s, a, m)`.
+ *
+ * @private
+ */
+const sobol_directions = [
+  null,
+  { s: 1, a: 0, m: [1] },
+  { s: 2, a: 1, m: [1, 3] },
+  { s: 3, a: 1, m: [1, 3, 1] }
+].map((poly) => {
+  const v = []
+  for (let k = 1; k <= 32; ++k) {
+    if (poly === null) {
+      v.push((1 << (32 - k)) >>> 0)
+    } else if (k <= poly.s) {
+      v.push((poly.m[k - 1] << (32 - k)) >>> 0)
+    } else {
+      const { s, a } = poly
+      let x = v[k - s - 1] ^ (v[k - s - 1] >>> s)
+      for (let j = 1; j < s; ++j) {
+        if ((a >>> (s - 1 - j)) & 1) x ^= v[k - j - 1]
+      }
+      v.push(x >>> 0)
+    }
+  }
+  return v
+})
+
+/**
+ * Laine-Karras style hash-based Owen scrambling, in reversed bit order.
+ *
+ * @private
+ */
+const laine_karras_permutation = $.Fn(([x, seed]) => {
+  const v = $.uint(x).toVar()
+  seed = $.uint(seed)
+  v.bitXorAssign(v.mul(0x3d20_adea))
+  v.addAssign(seed)
+  v.mulAssign(seed.shiftRight(16).bitOr(1))
+  v.bitXorAssign(v.mul(0x0552_6c56))
+  v.bitXorAssign(v.mul(0x53a2_2864))
+  return v
+})
+
+const laine_karras_permutation_js = (x, seed) => {
+  x ^= Math.imul(x, 0x3d20_adea)
+  x = (x + seed) >>> 0
+  x = Math.imul(x, (seed >>> 16) | 1)
+  x ^= Math.imul(x, 0x0552_6c56)
+  x ^= Math.imul(x, 0x53a2_2864)
+  return x >>> 0
+}
+
+/**
+ * Owen-scramble a uint sample: a random permutation of the base-2 digit tree,
+ * which keeps the stratification of (0,m,2)-nets such as Sobol.
+ *
+ * @param {*} x - Sample as a uint fixed-point fraction.
+ * @param {*} seed - Scramble seed (uint).
+ * @returns {*} Scrambled sample (uint).
+ */
+export const owen_scramble = $.Fn(([x, seed]) => {
+  return reverse_bits(laine_karras_permutation(reverse_bits(x), seed))
+})
+
+const owen_scramble_js = (x, seed) => {
+  return reverse_bits_js(laine_karras_permutation_js(reverse_bits_js(x), seed))
+}
+
+/**
+ * Sobol sample of one dimension as a uint fixed-point fraction.
+ *
+ * @private
+ */
+const sobol_u32 = (index, dim) => $.Fn(() => {
+  const x = $.uint(0).toVar()
+  sobol_directions[dim].forEach((v, bit) => {
+    x.bitXorAssign(index.shiftRight(bit).bitAnd(1).mul(v))
+  })
+  return x
+})()
+
+const sobol_u32_js = (index, dim) => {
+  let x = 0
+  sobol_directions[dim].forEach((v, bit) => {
+    if ((index >>> bit) & 1) x ^= v
+  })
+  return x >>> 0
+}
+
+/**
+ * Sobol point in the first 1 to 4 dimensions.
+ *
+ * With a `seed`, the point set is Owen-scrambled (and the index shuffled),
+ * giving an independent, still well-stratified sequence per seed. Per-dimension
+ * scramble seeds are derived from `seed` with `jenkins_hash12_u32`.
+ *
+ * @param {*} index - Sample index (uint).
+ * @param {Object} [options]
+ * @param {number} [options.dims=2] - Number of dimensions, 1 to 4.
+ * @param {*} [options.seed=null] - Scramble seed (uint), `null` for the plain sequence.
+ * @returns {*} Point (float or vecN) in [0,1)^N.
+ *
+ * @example
+ * ```
+ * const u = sobol(sample_index, { dims: 2, seed: instanceIndex })
+ * const dir = sample_hemisphere_cosine(u)
+ * ```
+ */
+export const sobol = (index, { dims = 2, seed = null } = {}) => {
+  if (!(dims >= 1 && dims <= 4)) throw new Error(`Unsupported Sobol dimensions: ${dims}`)
+  let i = $.uint(index)
+  if (seed !== null) i = owen_scramble(i, jenkins_hash12_u32($.uvec2(seed, 0)))
+  i = i.toVar()
+  return pack(components.slice(0, dims).map((_, dim) => {
+    const x = sobol_u32(i, dim)
+    return u32_to_unit(seed === null ? x : owen_scramble(x, jenkins_hash12_u32($.uvec2(seed, dim + 1))))
+  }))
+}
+
+/**
+ * Generate Sobol points on the CPU, matching {@link sobol}.
+ *
+ * @param {number} count - Number of points.
+ * @param {Object} [options]
+ * @param {number} [options.dims=2] - Number of dimensions, 1 to 4.
+ * @param {number} [options.seed=null] - Scramble seed (uint), `null` for the plain sequence.
+ * @param {number} [options.start=0] - Index of the first point.
+ * @returns {Float32Array} `count * dims` floats.
+ */
+export const sobol_sequence = (count, { dims = 2, seed = null, start = 0 } = {}) => {
+  if (!(dims >= 1 && dims <= 4)) throw new Error(`Unsupported Sobol dimensions: ${dims}`)
+  const seeds = seed === null ? null : [0, 1, 2, 3, 4].map((dim) => jenkins_hash12_u32_js([seed, dim]))
+  const out = new Float32Array(count * dims)
+  for (let n = 0; n < count; ++n) {
+    let i = (start + n) >>> 0
+    if (seeds !== null) i = owen_scramble_js(i, seeds[0])
+    for (let dim = 0; dim < dims; ++dim) {
+      const x = sobol_u32_js(i, dim)
+      out[n * dims + dim] = u32_to_unit_js(seeds === null ? x : owen_scramble_js(x, seeds[dim + 1]))
+    }
+  }
+  return out
+}
+
+//
+// R1, R2 additive recurrences
+//  Ref: Roberts, "The Unreasonable Effectiveness of Quasirandom Sequences"
+//  Computed in 32-bit fixed point, so large indices keep full precision.
+//
+
+const R1 = [1 / 1.618033988749895]
+const R2 = [1 / 1.324717957244746, 1 / 1.324717957244746 ** 2]
+const to_fixed = (x) => Math.round((x - Math.floor(x)) * 2 ** 32) >>> 0
+
+/**
+ * Additive recurrence `fract(offset + index * alpha)` in fixed point.
+ *
+ * @private
+ */
+const recurrence = (index, alphas, offset) => {
+  const i = $.uint(index)
+  return pack(alphas.map((alpha) => u32_to_unit(i.mul(to_fixed(alpha)).add(to_fixed(offset)))))
+}
+
+const recurrence_sequence = (count, alphas, offset, start) => {
+  const out = new Float32Array(count * alphas.length)
+  for (let n = 0; n < count; ++n) {
+    alphas.forEach((alpha, d) => {
+      out[n * alphas.length + d] = u32_to_unit_js((Math.imul(start + n, to_fixed(alpha)) + to_fixed(offset)) >>> 0)
+    })
+  }
+  return out
+}
+
+/**
+ * R1 sequence, `fract(offset + index / φ)`, the golden ratio sequence.
+ *
+ * @param {*} index - Sample index (uint).
+ * @param {number} [offset=0.5] - Start offset.
+ * @returns {*} Value (float) in [0,1).
+ */
+export const r1 = (index, offset = 0.5) => recurrence(index, R1, offset)
+
+/**
+ * R2 sequence, the 2D generalization of the golden ratio sequence.
+ *
+ * Open-ended: unlike Halton or Sobol, any prefix is well distributed.
+ *
+ * @param {*} index - Sample index (uint).
+ * @param {number} [offset=0.5] - Start offset.
+ * @returns {*} Point (vec2) in [0,1)^2.
+ *
+ * @example
+ * ```
+ * const jitter = r2(frameId).sub(0.5) // TAA sub-pixel jitter
+ * ```
+ */
+export const r2 = (index, offset = 0.5) => recurrence(index, R2, offset)
+
+/**
+ * Generate R1 values on the CPU.
+ *
+ * @param {number} count - Number of values.
+ * @param {number} [offset=0.5] - Start offset.
+ * @param {number} [start=0] - Index of the first value.
+ * @returns {Float32Array} `count` floats.
+ */
+export const r1_sequence = (count, offset = 0.5, start = 0) => recurrence_sequence(count, R1, offset, start)
+
+/**
+ * Generate R2 points on the CPU.
+ *
+ * @param {number} count - Number of points.
+ * @param {number} [offset=0.5] - Start offset.
+ * @param {number} [start=0] - Index of the first point.
+ * @returns {Float32Array} `count * 2` floats.
+ */
+export const r2_sequence = (count, offset = 0.5, start = 0) => recurrence_sequence(count, R2, offset, start)
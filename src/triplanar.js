@@ -0,0 +1,112 @@
+import { TSL as $ } from 'three/webgpu'
+import { reorient_normal } from './normal_blend.js'
+
+//
+// Triplanar projection
+//  Evaluate a 2D field on the three axis planes of a 3D position and blend the
+//  results by the surface normal, for meshes without UVs or tangents.
+//  - Plane coordinates are `p.zy`, `p.xz` and `p.xy` for the x, y and z planes.
+//  - Fields are functions from a vec2 to any node type, or textures.
+//  Ref: Golus, "Normal Mapping for a Triplanar Shader", 2017
+//
+
+/**
+ * Swizzle a vector into the (u, v, normal) frame of each plane; the
+ * swizzles are their own inverses.
+ *
+ * @private
+ */
+const to_planes = (v) => [v.zyx, v.xzy, v.xyz]
+
+/**
+ * A texture as a field function; functions pass through.
+ *
+ * @private
+ */
+const to_field = (f) => {
+  if (f.isTexture) return (uv) => $.texture(f, uv)
+  if (f.isTextureNode) return (uv) => f.sample(uv)
+  return f
+}
+
+/**
+ * Blend weights of the three planes, normalized to sum to 1.
+ *
+ * @param {*} normal - Surface normal (vec3).
+ * @param {*} [sharpness=4] - Exponent on the normal; higher values narrow the blend seams.
+ * @returns {*} Weights of the x, y and z planes (vec3).
+ */
+export const triplanar_weights = $.Fn(([normal, sharpness = 4]) => {
+  const w = $.vec3(normal).abs().pow($.vec3($.float(sharpness)))
+  return w.div(w.x.add(w.y).add(w.z))
+})
+
+/**
+ * Evaluate a 2D field or texture with triplanar projection.
+ *
+ * @param {*} f - Field function that takes a vec2, or a texture.
+ * @param {Object} [options]
+ * @param {*} [options.position=positionLocal] - Projected position (vec3); scale it to tile the field.
+ * @param {*} [options.normal=normalLocal] - Surface normal (vec3), in the same space as `position`.
+ * @param {*} [options.sharpness=4] - Blend sharpness, see {@link triplanar_weights}.
+ * @returns {*} Blended field value.
+ *
+ * @example
+ * ```
+ * mat.colorNode = triplanar(rock_tex, { position: positionLocal.mul(2) })
+ * mat.roughnessNode = triplanar((uv) => fbm((k) => perlin_noise2d(k))(uv.mul(8)))
+ * ```
+ */
+export const triplanar = (f, { position = $.positionLocal, normal = $.normalLocal, sharpness = 4 } = {}) => {
+  f = to_field(f)
+  const w = triplanar_weights(normal, sharpness)
+  const [x, y, z] = to_planes($.vec3(position))
+  return f(x.xy).mul(w.x).add(f(y.xy).mul(w.y)).add(f(z.xy).mul(w.z))
+}
+
+/**
+ * Apply a tangent-space normal to a plane-swizzled surface normal.
+ *
+ * @private
+ */
+const triplanar_blends = {
+  whiteout: (tn, n) => $.vec3(tn.xy.add(n.xy), tn.z.abs().mul(n.z)),
+  udn: (tn, n) => $.vec3(tn.xy.add(n.xy), n.z),
+  rnm: (tn, n) => {
+    const r = reorient_normal($.vec3(n.xy, n.z.abs()), tn)
+    return $.vec3(r.xy, r.z.mul(n.z.sign()))
+  }
+}
+
+/**
+ * Apply tangent-space normals with triplanar projection.
+ *
+ * Each plane's tangent frame follows its plane coordinates on both sides of
+ * the axis, so a normal map describing a height field `h(uv)` bumps the surface
+ * as `h` evaluated at the projected position.
+ *
+ * @param {*} f - Function that takes plane coordinates (vec2) and returns a
+ *   tangent-space normal (vec3) in [-1,1], +z up.
+ * @param {Object} [options]
+ * @param {*} [options.position=positionLocal] - Projected position (vec3).
+ * @param {*} [options.normal=normalLocal] - Surface normal (vec3), in the same space as `position`.
+ * @param {*} [options.sharpness=4] - Blend sharpness, see {@link triplanar_weights}.
+ * @param {string} [options.blend='whiteout'] - Per-plane blend: `'whiteout'`, `'udn'` or `'rnm'`.
+ * @returns {*} Perturbed normal (vec3), normalized, in the space of `normal`.
+ *
+ * @example
+ * ```
+ * const f = (uv) => texture(normal_tex, uv).xyz.mul(2).sub(1)
+ * mat.normalNode = transformNormalToView(triplanar_normal(f, { blend: 'rnm' }))
+ * ```
+ */
+export const triplanar_normal = (f, { position = $.positionLocal, normal = $.normalLocal, sharpness = 4, blend = 'whiteout' } = {}) => {
+  const apply = triplanar_blends[blend]
+  if (!apply) throw new Error(`Unknown triplanar blend: ${blend}`)
+  normal = $.vec3(normal).normalize()
+  const w = triplanar_weights(normal, sharpness)
+  const planes = to_planes($.vec3(position))
+  const normals = to_planes(normal)
+  const [x, y, z] = planes.map((p, i) => to_planes(apply($.vec3(f(p.xy)), normals[i]))[i])
+  return x.mul(w.x).add(y.mul(w.y)).add(z.mul(w.z)).normalize()
+}
@@ -0,0 +1,399 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as twins from '../../src/cpu/hash.js'
+
+//
+// Reference implementations
+//  Byte-wise BigInt transcriptions of the C reference code, independent of
+//  the `Math.imul` arithmetic under test, and checked against the vectors
+//  published with the reference code.
+//
+
+const U32 = 0xffff_ffffn
+const mul = (a, b) => (a * b) & U32
+const add = (...xs) => xs.reduce((a, b) => a + b, 0n) & U32
+const sub = (a, b) => (a - b) & U32
+const rotl = (x, k) => ((x << BigInt(k)) | (x >> BigInt(32 - k))) & U32
+const read32 = (bytes, i) => BigInt(bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16)) | (BigInt(bytes[i + 3]) << 24n)
+
+/** Little-endian bytes of uint keys. */
+const key_bytes = (keys) => new Uint8Array(new Uint32Array(keys).buffer)
+
+/** Bit pattern of a float key. */
+const float_bits = (x) => new Uint32Array(new Float32Array([x]).buffer)[0]
+
+/** Buffer of the xxHash sanity checks: bytes from a squared PRIME32_1. */
+const sanity_buffer = (length) => {
+  const bytes = new Uint8Array(length)
+  let gen = 2654435761n
+  for (let i = 0; i < length; i++) {
+    bytes[i] = Number(gen >> 24n)
+    gen = mul(gen, gen)
+  }
+  return bytes
+}
+
+const P1 = 2654435761n
+const P2 = 2246822519n
+const P3 = 3266489917n
+const P4 = 668265263n
+const P5 = 374761393n
+
+/** XXH32, from the xxHash specification. */
+const xxh32 = (bytes, seed) => {
+  seed = BigInt(seed)
+  const len = bytes.length
+  let i = 0
+  let h
+  if (len >= 16) {
+    const v = [add(seed, P1, P2), add(seed, P2), seed, sub(seed, P1)]
+    for (; i + 16 <= len; i += 16) {
+      for (let j = 0; j < 4; j++) v[j] = mul(rotl(add(v[j], mul(read32(bytes, i + j * 4), P2)), 13), P1)
+    }
+    h = add(rotl(v[0], 1), rotl(v[1], 7), rotl(v[2], 12), rotl(v[3], 18))
+  } else {
+    h = add(seed, P5)
+  }
+  h = add(h, BigInt(len))
+  for (; i + 4 <= len; i += 4) h = mul(rotl(add(h, mul(read32(bytes, i), P3)), 17), P4)
+  for (; i < len; i++) h = mul(rotl(add(h, mul(BigInt(bytes[i]), P5)), 11), P1)
+  h ^= h >> 15n
+  h = mul(h, P2)
+  h ^= h >> 13n
+  h = mul(h, P3)
+  h ^= h >> 16n
+  return Number(h)
+}
+
+const lookup3_mix = (s) => {
+  let [a, b, c] = s
+  a = sub(a, c); a ^= rotl(c, 4); c = add(c, b)
+  b = sub(b, a); b ^= rotl(a, 6); a = add(a, c)
+  c = sub(c, b); c ^= rotl(b, 8); b = add(b, a)
+  a = sub(a, c); a ^= rotl(c, 16); c = add(c, b)
+  b = sub(b, a); b ^= rotl(a, 19); a = add(a, c)
+  c = sub(c, b); c ^= rotl(b, 4); b = add(b, a)
+  return [a, b, c]
+}
+
+const lookup3_final = (s) => {
+  let [a, b, c] = s
+  c ^= b; c = sub(c, rotl(b, 14))
+  a ^= c; a = sub(a, rotl(c, 11))
+  b ^= a; b = sub(b, rotl(a, 25))
+  c ^= b; c = sub(c, rotl(b, 16))
+  a ^= c; a = sub(a, rotl(c, 4))
+  b ^= a; b = sub(b, rotl(a, 14))
+  c ^= b; c = sub(c, rotl(b, 24))
+  return [a, b, c]
+}
+
+/** Bob Jenkins' lookup3 `hashlittle2`: the primary (c) and secondary (b) hashes. */
+const hashlittle2 = (bytes, pc, pb = 0) => {
+  const init = add(0xdead_beefn, BigInt(bytes.length), BigInt(pc))
+  let s = [init, init, add(init, BigInt(pb))]
+  let i = 0
+  for (; bytes.length - i > 12; i += 12) {
+    s = lookup3_mix(s.map((x, j) => add(x, read32(bytes, i + j * 4))))
+  }
+  if (bytes.length === i) return [Number(s[2]), Number(s[1])]
+  const tail = new Uint8Array(12)
+  tail.set(bytes.subarray(i))
+  s = lookup3_final(s.map((x, j) => add(x, read32(tail, j * 4))))
+  return [Number(s[2]), Number(s[1])]
+}
+
+/** Bob Jenkins' lookup3 `hashlittle`. */
+const hashlittle = (bytes, initval) => hashlittle2(bytes, initval)[0]
+
+/**
+ * The GPU fold of 4 keys, which is not lookup3: the 3rd key goes to `a` and
+ * the 4th is added to `a` after one mix.
+ */
+const jenkins_fold4 = ([kx, ky, kz, kw], initval) => {
+  const init = add(0xdead_beefn, 16n, BigInt(initval))
+  const [a, b, c] = lookup3_mix([add(init, BigInt(kx), BigInt(kz)), add(init, BigInt(ky)), init])
+  const s = lookup3_final([add(a, BigInt(kw)), b, c])
+  return [Number(s[2]), Number(s[1])]
+}
+
+/** Primary and secondary hashes of the keys, then the same for the next seed. */
+const jenkins_streams = (keys, seed, count) => {
+  const fold = (initval) => (keys.length === 4 ? jenkins_fold4(keys, initval) : hashlittle2(key_bytes(keys), initval))
+  return [...fold((13 + seed) >>> 0), ...fold((14 + seed) >>> 0)].slice(0, count)
+}
+
+/** Thomas Wang's 32-bit integer hash, chained for more outputs. */
+const wang = (h) => {
+  h = BigInt(h)
+  h = (h ^ 61n) ^ (h >> 16n)
+  h = mul(h, 9n)
+  h ^= h >> 4n
+  h = mul(h, 0x27d4_eb2dn)
+  h ^= h >> 15n
+  return Number(h)
+}
+
+const wang_streams = (keys, seed, count) => {
+  const key = keys.length === 1
+    ? (keys[0] + Math.imul(seed, 0x9e37_79b9)) >>> 0
+    : jenkins_streams(keys, seed, 1)[0]
+  const streams = [wang(key)]
+  while (streams.length < count) streams.push(wang(streams[streams.length - 1]))
+  return streams
+}
+
+/** PCG hashes, from Jarzynski and Olano, "Hash Functions for GPU Rendering", 2020. */
+const pcg = (v) => {
+  const state = add(mul(BigInt(v), 747796405n), 2891336453n)
+  const word = mul((state >> ((state >> 28n) + 4n)) ^ state, 277803737n)
+  return Number((word >> 22n) ^ word)
+}
+
+const pcgnd = (keys) => {
+  const n = keys.length
+  const v = keys.map((k) => add(mul(BigInt(k), 1664525n), 1013904223n))
+  const shift = () => v.forEach((x, i) => { v[i] = x ^ (x >> 16n) })
+  const round = [
+    null,
+    null,
+    () => {
+      v[0] = add(v[0], mul(v[1], 1664525n))
+      v[1] = add(v[1], mul(v[0], 1664525n))
+    },
+    () => {
+      v[0] = add(v[0], mul(v[1], v[2]))
+      v[1] = add(v[1], mul(v[2], v[0]))
+      v[2] = add(v[2], mul(v[0], v[1]))
+    },
+    () => {
+      v[0] = add(v[0], mul(v[1], v[3]))
+      v[1] = add(v[1], mul(v[2], v[0]))
+      v[2] = add(v[2], mul(v[0], v[1]))
+      v[3] = add(v[3], mul(v[1], v[2]))
+    }
+  ][n]
+  round()
+  shift()
+  round()
+  if (n === 2) shift()
+  return v.map(Number)
+}
+
+const seeds = [0, 1, 42, 0x9e37_79b1, 0xffff_ffff]
+const float_keys = [
+  [0.5, -2, 3.25, 1e-3],
+  [0, -0, Infinity, 1e30]
+]
+const keys = [
+  [0, 0, 0, 0],
+  [1, 2, 3, 4],
+  [0xdead_beef, 0xcafe_babe, 0x1234_5678, 0x9abc_def0],
+  [0xffff_ffff, 0x8000_0000, 0x7fff_ffff, 1]
+]
+
+//
+// References against published vectors
+//
+
+test('xxh32 reference matches the xxHash sanity checks', () => {
+  const buffer = sanity_buffer(101)
+  assert.equal(xxh32(new Uint8Array(0), 0), 0x02cc_5d05)
+  assert.equal(xxh32(buffer.subarray(0, 1), 0), 0xb85c_bee5)
+  assert.equal(xxh32(buffer.subarray(0, 1), 2654435761), 0xd584_5d64)
+  assert.equal(xxh32(buffer.subarray(0, 14), 0), 0xe5aa_0ab4)
+  assert.equal(xxh32(buffer.subarray(0, 14), 2654435761), 0x4481_951d)
+  assert.equal(xxh32(buffer, 0), 0x1f1a_a412)
+  assert.equal(xxh32(buffer, 2654435761), 0x498e_c8e2)
+})
+
+test('hashlittle reference matches the lookup3 driver vectors', () => {
+  const empty = new Uint8Array(0)
+  const text = new TextEncoder().encode('Four score and seven years ago')
+  assert.equal(hashlittle(empty, 0), 0xdead_beef)
+  assert.equal(hashlittle(text, 0), 0x1777_0551)
+  assert.equal(hashlittle(text, 1), 0xcd62_8161)
+  assert.deepEqual(hashlittle2(empty, 0, 0), [0xdead_beef, 0xdead_beef])
+  assert.deepEqual(hashlittle2(empty, 0, 0xdead_beef), [0xbd5b_7dde, 0xdead_beef])
+  assert.deepEqual(hashlittle2(empty, 0xdead_beef, 0xdead_beef), [0x9c09_3ccd, 0xbd5b_7dde])
+  assert.deepEqual(hashlittle2(text, 0, 0), [0x1777_0551, 0xce72_26e6])
+  assert.deepEqual(hashlittle2(text, 0, 1), [0xe360_7cae, 0xbd37_1de4])
+  assert.deepEqual(hashlittle2(text, 1, 0), [0xcd62_8161, 0x6cbe_a4b3])
+})
+
+//
+// CPU twins
+//
+
+test('xxhash32 u32 hashes match XXH32 of 4, 8, 12 and 16-byte keys', () => {
+  const hashes = [twins.xxhash32_hash11_u32, twins.xxhash32_hash12_u32, twins.xxhash32_hash13_u32, twins.xxhash32_hash14_u32]
+  for (const key of keys) {
+    for (const seed of seeds) {
+      hashes.forEach((hash, i) => {
+        const k = key.slice(0, i + 1)
+        assert.equal(hash(i === 0 ? k[0] : k, seed), xxh32(key_bytes(k), seed), `keys ${k}, seed ${seed}`)
+      })
+    }
+  }
+})
+
+test('xxhash32 u32 hashes match known values', () => {
+  assert.equal(twins.xxhash32_hash11_u32(0), 0x08d6_d969)
+  assert.equal(twins.xxhash32_hash12_u32([1, 2], 1), 0x5433_b226)
+  assert.equal(twins.xxhash32_hash13_u32([1, 2, 3], 42), 0x488d_acdf)
+  assert.equal(twins.xxhash32_hash14_u32([1, 2, 3, 4]), 0x540b_26bd)
+  assert.equal(twins.xxhash32_hash14_u32([1, 2, 3, 4], 0x9e37_79b1), 0xd2fb_0278)
+})
+
+test('xxhash32 float hashes hash the key bits', () => {
+  assert.equal(twins.xxhash32_hash11(1.5, 7), Math.fround(xxh32(key_bytes([float_bits(1.5)]), 7)) / 2 ** 32)
+  const h = twins.xxhash32_hash12([0.25, -3], 0)
+  assert.equal(h, Math.fround(xxh32(key_bytes([float_bits(0.25), float_bits(-3)]), 0)) / 2 ** 32)
+  assert.ok(h >= 0 && h < 1)
+})
+
+test('jenkins u32 hashes match lookup3 with initval 13 + seed', () => {
+  const hashes = [twins.jenkins_hash11_u32, twins.jenkins_hash12_u32, twins.jenkins_hash13_u32]
+  for (const key of keys) {
+    for (const seed of seeds) {
+      hashes.forEach((hash, i) => {
+        const k = key.slice(0, i + 1)
+        assert.equal(hash(i === 0 ? k[0] : k, seed), hashlittle(key_bytes(k), (13 + seed) >>> 0), `keys ${k}, seed ${seed}`)
+      })
+    }
+  }
+})
+
+test('jenkins u32 hash of 4 keys matches the GPU fold', () => {
+  for (const key of keys) {
+    for (const seed of seeds) {
+      assert.equal(twins.jenkins_hash14_u32(key, seed), jenkins_fold4(key, (13 + seed) >>> 0)[0], `keys ${key}, seed ${seed}`)
+    }
+  }
+})
+
+test('jenkins float hashes match the streams of the key bits', () => {
+  for (const key of float_keys) {
+    for (const seed of seeds) {
+      for (let m = 1; m <= 4; m++) {
+        for (let n = 1; n <= 4; n++) {
+          const k = key.slice(0, n)
+          const expected = jenkins_streams(k.map(float_bits), seed, m).map((h) => Math.fround(h) / 2 ** 32)
+          assert.deepEqual([twins[`jenkins_hash${m}${n}`](n === 1 ? k[0] : k, seed)].flat(), expected, `jenkins_hash${m}${n}(${k}, ${seed})`)
+        }
+      }
+    }
+  }
+})
+
+test('wang u32 hashes match the Wang hash of the seeded or folded keys', () => {
+  for (const key of keys) {
+    for (const seed of seeds) {
+      for (let n = 1; n <= 4; n++) {
+        const k = key.slice(0, n)
+        assert.equal(twins[`wang_hash1${n}_u32`](n === 1 ? k[0] : k, seed), wang_streams(k, seed, 1)[0], `keys ${k}, seed ${seed}`)
+      }
+    }
+  }
+})
+
+test('wang float hashes match the chained Wang hashes of the key bits', () => {
+  const unit = (h) => {
+    const x = Math.fround(h) / 2 ** 32
+    return x - Math.floor(x)
+  }
+  for (const key of float_keys) {
+    for (const seed of seeds) {
+      for (let m = 1; m <= 4; m++) {
+        for (let n = 1; n <= 4; n++) {
+          const k = key.slice(0, n)
+          const expected = wang_streams(k.map(float_bits), seed, m).map(unit)
+          assert.deepEqual([twins[`wang_hash${m}${n}`](n === 1 ? k[0] : k, seed)].flat(), expected, `wang_hash${m}${n}(${k}, ${seed})`)
+        }
+      }
+    }
+  }
+})
+
+test('jenkins and wang hashes match known values', () => {
+  // Float outputs are scaled by 2^32, which is exact, to keep them readable.
+  const known = {
+    jenkins_hash11: [0x1358_1600],
+    jenkins_hash12: [0x46da_b580],
+    jenkins_hash13: [0x3433_aa00],
+    jenkins_hash14: [0x8711_7700],
+    jenkins_hash21: [0x1358_1600, 0x1b49_2600],
+    jenkins_hash22: [0x46da_b580, 0x1837_19a0],
+    jenkins_hash23: [0x3433_aa00, 0x4946_e500],
+    jenkins_hash24: [0x8711_7700, 0x6219_3600],
+    jenkins_hash31: [0x1358_1600, 0x1b49_2600, 0x4909_fb80],
+    jenkins_hash32: [0x46da_b580, 0x1837_19a0, 0x050d_9800],
+    jenkins_hash33: [0x3433_aa00, 0x4946_e500, 0x0899_09d0],
+    jenkins_hash34: [0x8711_7700, 0x6219_3600, 0xfb6e_ae00],
+    jenkins_hash41: [0x1358_1600, 0x1b49_2600, 0x4909_fb80, 0x0a48_cdf0],
+    jenkins_hash42: [0x46da_b580, 0x1837_19a0, 0x050d_9800, 0x1a62_11c0],
+    jenkins_hash43: [0x3433_aa00, 0x4946_e500, 0x0899_09d0, 0xcdc0_fe00],
+    jenkins_hash44: [0x8711_7700, 0x6219_3600, 0xfb6e_ae00, 0xe176_3900],
+    wang_hash11: [0xa313_d500],
+    wang_hash12: [0xc004_6b00],
+    wang_hash13: [0x03e5_0d38],
+    wang_hash14: [0x37b5_2740],
+    wang_hash21: [0xa313_d500, 0x7020_e680],
+    wang_hash22: [0xc004_6b00, 0x91bf_d800],
+    wang_hash23: [0x03e5_0d38, 0xc02f_6400],
+    wang_hash24: [0x37b5_2740, 0x5054_3700],
+    wang_hash31: [0xa313_d500, 0x7020_e680, 0xea34_bb00],
+    wang_hash32: [0xc004_6b00, 0x91bf_d800, 0xade1_a600],
+    wang_hash33: [0x03e5_0d38, 0xc02f_6400, 0xa0dc_3c00],
+    wang_hash34: [0x37b5_2740, 0x5054_3700, 0x9f6e_f800],
+    wang_hash41: [0xa313_d500, 0x7020_e680, 0xea34_bb00, 0x7e36_7580],
+    wang_hash42: [0xc004_6b00, 0x91bf_d800, 0xade1_a600, 0xb147_1100],
+    wang_hash43: [0x03e5_0d38, 0xc02f_6400, 0xa0dc_3c00, 0xc4da_a500],
+    wang_hash44: [0x37b5_2740, 0x5054_3700, 0x9f6e_f800, 0xa5f3_8500]
+  }
+  const known_u32 = {
+    jenkins_hash11_u32: 0x38ee_f64f,
+    jenkins_hash12_u32: 0x8e13_0fbe,
+    jenkins_hash13_u32: 0x55d6_db2b,
+    jenkins_hash14_u32: 0x4eb2_0c56,
+    wang_hash11_u32: 0x778c_647f,
+    wang_hash12_u32: 0x63f9_e4af,
+    wang_hash13_u32: 0x5513_eaba,
+    wang_hash14_u32: 0x9fca_20c9
+  }
+  const float_key = [0.5, -2, 3.25, 1e-3]
+  const uint_key = [1, 2, 3, 4]
+  for (const [name, expected] of Object.entries(known)) {
+    const n = Number(name.at(-1))
+    const k = float_key.slice(0, n)
+    assert.deepEqual([twins[name](n === 1 ? k[0] : k, 7)].flat().map((x) => x * 2 ** 32), expected, name)
+  }
+  for (const [name, expected] of Object.entries(known_u32)) {
+    const n = Number(name.at(-5))
+    const k = uint_key.slice(0, n)
+    assert.equal(twins[name](n === 1 ? k[0] : k, 7), expected, name)
+  }
+})
+
+test('pcg u32 hashes match the reference PCG hashes', () => {
+  for (const key of keys) {
+    assert.equal(twins.pcg_hash11_u32(key[0]), pcg(key[0]))
+    assert.deepEqual(twins.pcg_hash22_u32(key.slice(0, 2)), pcgnd(key.slice(0, 2)))
+    assert.deepEqual(twins.pcg_hash33_u32(key.slice(0, 3)), pcgnd(key.slice(0, 3)))
+    assert.deepEqual(twins.pcg_hash44_u32(key), pcgnd(key))
+  }
+})
+
+test('pcg u32 hashes offset keys by the seed', () => {
+  const offset = (k, seed) => (k + Math.imul(seed, 0x9e37_79b9)) >>> 0
+  for (const seed of seeds) {
+    assert.equal(twins.pcg_hash11_u32(5, seed), pcg(offset(5, seed)))
+    assert.deepEqual(twins.pcg_hash44_u32([1, 2, 3, 4], seed), pcgnd([1, 2, 3, 4].map((k) => offset(k, seed))))
+  }
+})
+
+test('pcg u32 hashes match known values', () => {
+  assert.equal(twins.pcg_hash11_u32(0), 0x07bb_2fe2)
+  assert.equal(twins.pcg_hash11_u32(1), 0xa8be_ea3c)
+  assert.equal(twins.pcg_hash11_u32(0xdead_beef), 0x6729_9972)
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  smootherstep,
+  mirrored_repeat01, mirrored_repeat, mirrored_repeat_smooth01, mirrored_repeat_smoother01,
+  cartesian2d_to_polar2d, polar2d_to_cartesian2d, cartesian2d_to_polar2d01,
+  cartesian3d_to_spherical3d, spherical3d_to_cartesian3d, cartesian3d_to_spherical3d01,
+  cartesian3d01_to_octahedral2d01s, octahedral2d01s_to_cartesian3d01,
+  cartesian3d01_to_octahedral2d01, octahedral2d01_to_cartesian3d01,
+  uv01_to_hemisphere_normal4, hemisphere_normal4_to_uv01
+} from '../../src/cpu/map.js'
+
+const close = (actual, expected, epsilon = 1e-12) => {
+  actual = [actual].flat()
+  expected = [expected].flat()
+  assert.equal(actual.length, expected.length)
+  actual.forEach((a, i) => assert.ok(Math.abs(a - expected[i]) < epsilon, `${actual} != ${expected}`))
+}
+
+test('smootherstep', () => {
+  assert.equal(smootherstep(0, 1, 0.5), 0.5)
+  assert.equal(smootherstep(0, 1, 0.25), 0.103515625)
+  assert.equal(smootherstep(1, 0, 0.25), 1)
+  assert.deepEqual(smootherstep(0, 1, [0, 0.5, 1]), [0, 0.5, 1])
+})
+
+test('mirrored repeat', () => {
+  assert.equal(mirrored_repeat01(0.25), 0.25)
+  assert.equal(mirrored_repeat01(1.5), 0.5)
+  assert.equal(mirrored_repeat01(2.25, 2), 0.875)
+  assert.deepEqual(mirrored_repeat01([0.25, 1.25]), [0.25, 0.75])
+  assert.equal(mirrored_repeat(1.5, 2), 1.5)
+  assert.equal(mirrored_repeat(3, 2), 1)
+  assert.equal(mirrored_repeat_smooth01(1.5), 0.5)
+  assert.equal(mirrored_repeat_smoother01(0.25), 0.103515625)
+})
+
+test('polar', () => {
+  close(cartesian2d_to_polar2d([0, 2]), [2, Math.PI / 2])
+  close(cartesian2d_to_polar2d([3, 4], [1, 1]), [Math.sqrt(13), Math.atan2(3, 2)])
+  close(polar2d_to_cartesian2d([2, Math.PI]), [-2, 0])
+  close(cartesian2d_to_polar2d01([-1, 0]), [1, 1])
+})
+
+test('spherical', () => {
+  close(cartesian3d_to_spherical3d([0, 0, 1]), [1, 0, Math.PI / 2])
+  close(cartesian3d_to_spherical3d([1, 0, 0]), [1, Math.PI / 2, Math.PI / 2])
+  close(spherical3d_to_cartesian3d([2, 0, Math.PI / 2]), [0, 0, 2])
+  close(cartesian3d_to_spherical3d01([0, 1, 0]), [1, 0.5, 0])
+})
+
+test('octahedral', () => {
+  close(cartesian3d01_to_octahedral2d01s([0, 0, 1]), [0, 0])
+  close(cartesian3d01_to_octahedral2d01s([1, 0, 0]), [1, 0])
+  close(cartesian3d01_to_octahedral2d01s([0, 0, -1]), [1, 1])
+  close(octahedral2d01s_to_cartesian3d01([0.5, 0]), [Math.SQRT1_2, 0, Math.SQRT1_2])
+  close(cartesian3d01_to_octahedral2d01([0, 1, 0]), [0.5, 1])
+  close(octahedral2d01_to_cartesian3d01([0.5, 0.5]), [0, 0, 1])
+})
+
+test('hemisphere normal', () => {
+  close(uv01_to_hemisphere_normal4([0.5, 0.5]), [0, 0, 1, -1])
+  close(uv01_to_hemisphere_normal4([1, 0.5]), [1, 0, 0, 0])
+  close(uv01_to_hemisphere_normal4([1, 1]), [Math.SQRT1_2, Math.SQRT1_2, 0, Math.SQRT2 - 1])
+  close(hemisphere_normal4_to_uv01([1, 0, 0, 0]), [1, 0.5])
+})